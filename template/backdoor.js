@@ -0,0 +1,78 @@
+/** backdoor.js
+ * Installs backdoors on the faction servers (and any hosts named on the command line) by walking the
+ * route from network-map.js with Singularity connect and running installBackdoor on each.
+ *
+ * - a host is only attempted once it is rooted, within our hacking level and not backdoored yet;
+ *   the others are listed with the reason they were skipped
+ * - without the Singularity API (Source-File 4) it prints the terminal command chain for each host instead
+ * - the network map (MAP_FILE) is rewritten afterwards, so its backdoor flags are current
+ *
+ * Usage: run backdoor.js [host...] [--dry]
+ *   host...: backdoor these too (default: the faction servers plus The-Cake-Is-A-Lie)
+ *   --dry: only print the command chains
+ */
+import { buildNetworkMap, writeNetworkMap, routeTo, connectCommands } from "network-map.js";
+
+/** Servers whose backdoor earns a faction invite, plus The-Cake-Is-A-Lie. */
+export const DEFAULT_BACKDOORS = ["CSEC", "avmnite-02h", "I.I.I.I", "run4theh111z", "The-Cake-Is-A-Lie"];
+
+/** Why `host` can't be backdoored right now, or null when it can. */
+function blockedReason(ns, map, host) {
+    const info = map[host];
+    if (!info) return "not on the network";
+    if (info.backdoor) return "already backdoored";
+    if (!info.rooted) return `no root (${info.ports} ports)`;
+    if (info.requiredLevel > ns.getHackingLevel()) return `needs hacking ${info.requiredLevel}`;
+    return null;
+}
+
+/** @param {NS} ns */
+export async function main(ns) {
+    const args = ns.args.map(String);
+    const DRY = args.includes("--dry");
+    const chosen = args.filter(a => !a.startsWith("--"));
+    const wanted = [...new Set([...DEFAULT_BACKDOORS, ...chosen])];
+
+    let singularity = !DRY;
+    if (singularity) {
+        try {
+            ns.singularity.getCurrentServer();
+        } catch (_) {
+            singularity = false;
+        }
+    }
+
+    const map = buildNetworkMap(ns);
+    const lines = [""];
+    let installed = 0;
+    for (const host of wanted) {
+        const reason = blockedReason(ns, map, host);
+        if (reason) {
+            if (chosen.includes(host) || reason !== "not on the network") lines.push(`  ${host}: skipped, ${reason}`);
+            continue;
+        }
+        const route = routeTo(map, host);
+        if (!singularity) {
+            lines.push(`  ${host}: ${connectCommands(route)}; backdoor`);
+            continue;
+        }
+        try {
+            for (const hop of route) {
+                if (!ns.singularity.connect(hop)) throw new Error(`connect ${hop} failed`);
+            }
+            await ns.singularity.installBackdoor();
+            installed++;
+            lines.push(`  ${host}: backdoor installed`);
+        } catch (e) {
+            lines.push(`  ${host}: failed, ${e && e.message ? e.message : e}`);
+        } finally {
+            ns.singularity.connect("home");
+        }
+    }
+
+    if (singularity) writeNetworkMap(ns);
+    lines.splice(1, 0, singularity
+        ? `backdoor: ${installed} installed`
+        : `backdoor: ${DRY ? "" : "no Singularity API here, "}run these from the terminal:`);
+    ns.tprint(lines.join("\n"));
+}
@@ -0,0 +1,752 @@
+/** batch-engine.js
+ * Shared HWGW batch engine behind host-batcher-smart.js (pool = its own host)
+ * and cluster-batcher.js (pool = home + purchased + rooted servers).
+ *
+ * - preps the target first (weaken/grow waves until min sec + max money); only one batcher preps a target at a time
+ * - computes threads for one HWGW batch from hackAnalyzeSecurity/growthAnalyzeSecurity/weakenAnalyze
+ *   (cores of the host each job lands on applied to grow & weaken, hack% refined via ns.formulas when available)
+ * - computes RAM per batch, then decides how many concurrent batches to run to fill the pool's free RAM
+ * - treats hack chance as a binomial: a hack is one roll, so G/W are always sized for a success (a failed
+ *   hack adds no security and a grow on a full server is a no-op); the total hack% cap applies to the number
+ *   of in-flight hacks that can succeed together at the configured confidence, and each wave logs expected
+ *   vs worst-case income per batch
+ * - places H, W1, G and W2 on whichever pool hosts have room (grow goes to the highest-core host that fits)
+ * - shrinks hack threads (re-deriving G/W) when RAM is short, then re-checks the batch returns to baseline
+ * - lands batches in a slot table: each batch owns a 4*DELTA window, waves fill the next free slots, and
+ *   in-flight batches are capped at weakenTime / slot width. The table is shared per target on SLOT_PORT, so
+ *   several batchers on one target never interleave landings and share one slot cap and one total hack% cap
+ * - launches only while the target is at min security; jobs start right away and carry their delay as
+ *   additionalMsec, so each action's duration is locked in at launch
+ * - launches each batch atomically (reserve RAM, kill already-started parts if one exec fails)
+ * - samples the target in the gap after each batch lands; on drift it claims the target's prep (which holds off
+ *   the other batchers on it), stops scheduling, lets in-flight work land and re-preps
+ * - watches the hacking level: in-flight durations are already locked in, but a hack steals by the level
+ *   at landing. Grow is sized with LEVEL_HEADROOM, so ordinary level-ups stay covered; only batches whose
+ *   grow can no longer refill their hack lose the hack job (G/W still land), and new waves are timed with fresh numbers
+ *   (desync counts per target/batcher are published on DESYNC_PORT, see batch-stats.js)
+ * - tags every job it starts with the batcher's owner (host-lease.js), so its owner can stop them on redeploy
+ * - takes drain requests on DRAIN_PORT (requestDrain): stops scheduling, lets in-flight jobs land so the old
+ *   target is left at min security and max money, then returns the request so the caller can move on
+ * - collects the jobs' completion reports (batch-reports.js) and publishes a per-target summary
+ */
+
+import { PREP_PORT, DESYNC_PORT, DRAIN_PORT, SLOT_PORT, readPortJson, writePortJson } from "ports.js";
+import { createReportCollector, reportPortFor, publishReportStats } from "batch-reports.js";
+import { ownerTag } from "host-lease.js";
+
+export const JOB_SCRIPTS = ["hack.js", "grow.js", "weaken.js"];
+export const BATCH_DELTA = 250;            // ms gap between finishes inside a batch
+export const BATCH_BUFFER = 1400;          // ms buffer before the first landing of a wave
+export const BATCH_SLOT_MS = 4 * BATCH_DELTA; // one batch's landing window plus the gap before the next H
+export const MAX_BATCH_HACK_PCT = 0.25;    // per-batch hack% ceiling
+export const MAX_TOTAL_HACK_PCT_CAP = 0.5; // ceiling for the combined cap across concurrent batches
+export const DEFAULT_CONFIDENCE = 0.95;    // worst cases are taken at this binomial quantile
+export const LEVEL_HEADROOM = 0.05;        // grow (and its weaken) refill a hack stealing this much more, for level-ups
+export const DEFAULT_HOME_RESERVE = "32";  // GB kept free on home for contract solvers and manual scripts
+/** Everything a host needs to run a batcher; controllers scp this list before exec. */
+export const BATCH_FILES = ["host-batcher-smart.js", "batch-engine.js", "batch-reports.js", "host-lease.js", "ports.js", ...JOB_SCRIPTS];
+
+/**
+ * GB to keep free on a host with `maxRam`, from a reserve spec: "32" (GB) or "10%" (of the host's RAM).
+ * Anything unreadable counts as no reserve.
+ */
+export function ramReserve(spec, maxRam) {
+    const text = String(spec ?? "").trim();
+    const value = Number(text.endsWith("%") ? text.slice(0, -1) : text);
+    if (!(value > 0)) return 0;
+    return Math.min(maxRam, text.endsWith("%") ? maxRam * value / 100 : value);
+}
+
+/**
+ * Smallest k with P(X <= k) >= q for X ~ Binomial(n, p): the number of successes among n independent
+ * hacks that is not exceeded with probability q.
+ */
+export function binomialQuantile(n, p, q) {
+    if (n <= 0 || p <= 0) return 0;
+    if (p >= 1 || q >= 1) return n;
+    let logPmf = n * Math.log1p(-p);
+    const ratio = p / (1 - p);
+    let cdf = 0;
+    for (let k = 0; k < n; k++) {
+        cdf += Math.exp(logPmf);
+        if (cdf >= q) return k;
+        logPmf += Math.log((n - k) / (k + 1)) + Math.log(ratio);
+    }
+    return n;
+}
+
+/**
+ * Ask the batcher running as `pid` to finish its in-flight batches and hand over to `next.target`
+ * (with `next.hackPct`). Replaces any earlier request for that pid.
+ */
+export function requestDrain(ns, pid, next) {
+    const requests = readPortJson(ns, DRAIN_PORT);
+    for (const p of Object.keys(requests)) if (!ns.isRunning(Number(p))) delete requests[p];
+    requests[pid] = { target: next.target, hackPct: next.hackPct, at: Date.now() };
+    writePortJson(ns, DRAIN_PORT, requests);
+}
+
+/** The drain request for this process (removed from the port), or null. */
+function takeDrainRequest(ns) {
+    const requests = readPortJson(ns, DRAIN_PORT);
+    const req = requests[ns.pid];
+    if (!req) return null;
+    delete requests[ns.pid];
+    writePortJson(ns, DRAIN_PORT, requests);
+    return req;
+}
+
+/**
+ * Largest batch count (up to `limit`) whose successful hacks stay within `maxTotal` of the target's money
+ * at confidence `q`; 0 when a single batch already goes over.
+ */
+export function maxConcurrentByHackPct(limit, hackedFraction, chance, maxTotal, q) {
+    if (binomialQuantile(1, chance, q) * hackedFraction > maxTotal) return 0;
+    let lo = 1, hi = Math.max(1, Math.floor(limit));
+    if (binomialQuantile(hi, chance, q) * hackedFraction <= maxTotal) return hi;
+    while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (binomialQuantile(mid, chance, q) * hackedFraction <= maxTotal) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+/**
+ * Run the batch loop against one target until it gets a drain request (or the target disappears).
+ * @param {NS} ns
+ * @param {object} opts
+ * @param {string} opts.target
+ * @param {string} opts.name  where this batcher runs, used in desync stats (a host name, or "cluster")
+ * @param {() => {host: string, free: number, cores: number}[]} opts.pool  fresh snapshot of usable RAM per host
+ * @param {number} [opts.hackPct]  desired fraction stolen per single batch
+ * @param {number} [opts.maxTotalHackPct]  cap for all concurrent batches together
+ * @param {boolean} [opts.stock]  let hack/grow jobs move the target's stock price
+ * @param {number} [opts.confidence]  quantile for worst-case hack successes (0.5..1, default 0.95)
+ * @param {string} [opts.owner]  controller that owns this batcher; its tag is appended to every job's args
+ * @returns {Promise<{target: string, hackPct: number}|null>} the drain request once its in-flight work has
+ *   landed, or null when the target disappears
+ */
+export async function runBatcher(ns, opts) {
+    const target = opts.target;
+    const name = opts.name;
+    const stock = !!opts.stock;
+    const tag = opts.owner ? [ownerTag(opts.owner)] : [];
+    const label = `${ns.getScriptName().replace(/\.js$/, "")}(${name})`;
+
+    // Config
+    const BASE_HACK_PCT = Math.min(MAX_BATCH_HACK_PCT, Number(opts.hackPct) || 0.02); // per-batch baseline
+    const MAX_TOTAL_HACK_PCT = Math.min(MAX_TOTAL_HACK_PCT_CAP, Number(opts.maxTotalHackPct) || 0.20); // safety cap total across concurrent batches
+    const CONFIDENCE = Math.min(1, Math.max(0.5, Number(opts.confidence) || DEFAULT_CONFIDENCE)); // worst-case quantile for hack successes
+    const DELTA = BATCH_DELTA;
+    const BUFFER = BATCH_BUFFER;
+    const LOOP_DELAY = 900; // wait between scheduling waves
+    const SEC_EPSILON = 1e-9;        // float slack when comparing security deltas
+    const PREP_SEC_TOLERANCE = 0.01; // prepped when sec <= min + this
+    const PREP_MONEY_RATIO = 0.999;  // ... and money >= max * this
+    const PREP_WAIT_MS = 5000;       // re-check interval while another batcher preps our target
+    const DESYNC_SEC_TOLERANCE = 0.05;   // landed batch left sec above min + this -> drift
+    const DESYNC_MONEY_RATIO = 0.99;     // ... or money below max * this -> drift
+    const DESYNC_STRIKES = 2;            // consecutive drifted samples before we call it a desync
+    const CHECK_MARGIN = Math.round(DELTA / 2); // sample this long after a batch's W2 lands
+    const SAMPLE_GUARD = Math.round(DELTA / 10); // ... and at least this long before the next slot's H lands
+    const REPORT_PUBLISH_MS = 5000;      // publish the report summary this often
+    const SLOT_MS = BATCH_SLOT_MS;
+
+    const ramHack = ns.getScriptRam("hack.js");
+    const ramGrow = ns.getScriptRam("grow.js");
+    const ramWeaken = ns.getScriptRam("weaken.js");
+    const scriptRam = { "hack.js": ramHack, "grow.js": ramGrow, "weaken.js": ramWeaken };
+
+    // helper safe format
+    const fmt = (v) => {
+        if (typeof ns.formatMoney === "function") return ns.formatMoney(v);
+        if (typeof ns.formatNumber === "function") return ns.formatNumber(v);
+        return String(Math.round(v));
+    };
+    const totalFree = (hosts) => hosts.reduce((sum, h) => sum + h.free, 0);
+
+    // hackAnalyze/hackAnalyzeChance read the live security, which is raised while batches land; both scale
+    // with (100 - security), so this rescales a live reading to min security, where our hacks land
+    const toMinSec = () => {
+        const sec = ns.getServerSecurityLevel(target);
+        return sec < 100 ? (100 - ns.getServerMinSecurityLevel(target)) / (100 - sec) : 1;
+    };
+
+    // per-thread hack fraction at min security, refined with formulas when available
+    const hackPerThread = () => {
+        let perHack = ns.hackAnalyze(target) * toMinSec();
+        if (ns.formulas && ns.formulas.hacking) {
+            try {
+                const player = ns.getPlayer ? ns.getPlayer() : null;
+                if (typeof ns.formulas.hacking.hackPercent === "function") {
+                    const server = ns.getServer(target);
+                    server.hackDifficulty = server.minDifficulty;
+                    const fp = ns.formulas.hacking.hackPercent(server, player);
+                    if (fp > 0) perHack = fp;
+                }
+            } catch (e) {
+                // ignore and keep hackAnalyze value
+            }
+        }
+        return Math.max(1e-12, perHack);
+    };
+
+    // hack chance at min security, same sources as hackPerThread
+    const hackChance = () => {
+        if (ns.formulas && ns.formulas.hacking) {
+            try {
+                const server = ns.getServer(target);
+                server.hackDifficulty = server.minDifficulty;
+                return ns.formulas.hacking.hackChance(server, ns.getPlayer());
+            } catch (e) {
+                // fall back to the live value
+            }
+        }
+        return Math.min(1, ns.hackAnalyzeChance(target) * toMinSec());
+    };
+
+    // ---- prep claims: one batcher preps a target, everyone else waits for it ----
+    // the foreign claim holding the target, or null
+    const prepHolder = () => {
+        const cur = readPortJson(ns, PREP_PORT)[target];
+        return cur && cur.pid !== ns.pid && ns.isRunning(cur.pid) ? cur : null;
+    };
+    // returns the foreign claim holding the target, or null once we own the claim
+    const claimPrep = () => {
+        const holder = prepHolder();
+        if (holder) return holder;
+        const claims = readPortJson(ns, PREP_PORT);
+        claims[target] = { host: name, pid: ns.pid, since: Date.now() };
+        writePortJson(ns, PREP_PORT, claims);
+        return null;
+    };
+    const releasePrep = () => {
+        const claims = readPortJson(ns, PREP_PORT);
+        if (claims[target] && claims[target].pid === ns.pid) {
+            delete claims[target];
+            writePortJson(ns, PREP_PORT, claims);
+        }
+    };
+
+    const isPrepped = () =>
+        ns.getServerSecurityLevel(target) <= ns.getServerMinSecurityLevel(target) + PREP_SEC_TOLERANCE &&
+        ns.getServerMoneyAvailable(target) >= ns.getServerMaxMoney(target) * PREP_MONEY_RATIO;
+
+    // spread weaken threads over the pool until `sec` is covered (cores make each thread stronger)
+    function spreadWeaken(hosts, sec, delay, jobs) {
+        for (const h of hosts) {
+            if (sec <= SEC_EPSILON) break;
+            const perThread = ns.weakenAnalyze(1, h.cores);
+            const threads = Math.min(Math.floor(h.free / ramWeaken), Math.ceil(sec / perThread));
+            if (threads <= 0) continue;
+            jobs.push({ label: "W", script: "weaken.js", host: h.host, threads, delay });
+            h.free -= threads * ramWeaken;
+            sec -= threads * perThread;
+        }
+        return sec;
+    }
+
+    // one weaken/grow/weaken wave sized to the pool's free RAM; resolves once the wave has landed
+    async function prepWave() {
+        const sec = ns.getServerSecurityLevel(target);
+        const minSec = ns.getServerMinSecurityLevel(target);
+        const money = Math.max(1, ns.getServerMoneyAvailable(target));
+        const maxMoney = ns.getServerMaxMoney(target);
+        const weakenTime = ns.getWeakenTime(target);
+        const growTime = ns.getGrowTime(target);
+        const hosts = opts.pool().sort((a, b) => b.cores - a.cores || b.free - a.free);
+        const free = totalFree(hosts);
+        const jobs = [];
+
+        // weaken down to min first, then grow (high-core hosts first) with its own covering weaken
+        spreadWeaken(hosts, Math.max(0, sec - minSec), 0, jobs);
+        let growSec = 0;
+        if (money < maxMoney * PREP_MONEY_RATIO) {
+            let factor = maxMoney / money;
+            for (const h of hosts) {
+                if (factor <= 1) break;
+                const wanted = Math.ceil(ns.growthAnalyze(target, factor, h.cores));
+                // keep room for the weaken that covers this grow
+                const weakenPerGrow = ns.growthAnalyzeSecurity(1, target, h.cores) / ns.weakenAnalyze(1, h.cores);
+                const threads = Math.min(wanted, Math.floor(h.free / (ramGrow + ramWeaken * weakenPerGrow)));
+                if (threads <= 0) continue;
+                jobs.push({ label: "G", script: "grow.js", host: h.host, threads, delay: Math.max(0, Math.round(weakenTime + DELTA - growTime)) });
+                h.free -= threads * ramGrow;
+                growSec += ns.growthAnalyzeSecurity(threads, target, h.cores);
+                // threads scale with log(factor): what's left after this host's share
+                factor = threads >= wanted ? 1 : Math.pow(factor, 1 - threads / wanted);
+            }
+            spreadWeaken(hosts, growSec, 2 * DELTA, jobs);
+        }
+        if (jobs.length === 0) {
+            ns.print(`prep ${target}: no free RAM in pool (${Math.round(free)}GB), retrying`);
+            await ns.sleep(PREP_WAIT_MS);
+            return;
+        }
+
+        // land W1, then G, then W2
+        for (const j of jobs) ns.exec(j.script, j.host, j.threads, target, j.delay, ...tag);
+        const count = (label) => jobs.filter(j => j.label === label).reduce((sum, j) => sum + j.threads, 0);
+        ns.print(`prep ${target}: sec ${sec.toFixed(2)}/${minSec.toFixed(2)}, money ${(100 * money / Math.max(1, maxMoney)).toFixed(1)}% (${fmt(money)}/${fmt(maxMoney)}) -> wave w=${count("W")} g=${count("G")} on ${new Set(jobs.map(j => j.host)).size} host(s), lands in ${Math.round((weakenTime + 2 * DELTA) / 1000)}s`);
+        await ns.sleep(weakenTime + 2 * DELTA + 200);
+    }
+
+    // ---- job completion reports ----
+    const reports = createReportCollector(ns, reportPortFor(ns.pid));
+    let batchSeq = 0;
+    let lastPublish = 0;
+    let planStats = {}; // latest wave's expected/worst-case income, published with the reports
+    const pollReports = () => {
+        reports.poll();
+        if (Date.now() - lastPublish >= REPORT_PUBLISH_MS) {
+            lastPublish = Date.now();
+            publishReportStats(ns, `${target}@${name}`, { target, host: name, ...reports.summary(), ...planStats });
+        }
+    };
+
+    // ---- landing slot table, shared by every batcher on the target (SLOT_PORT) ----
+    // A slot is the window [start, start + 3*DELTA] where one batch lands H, W1, G, W2. The next slot opens
+    // one DELTA after the previous W2, so no hack ever lands while an earlier batch still has security raised.
+    // Slots of batchers that are gone and slots whose W2 has landed are dropped on every read.
+    const targetSlots = () => {
+        const now = Date.now();
+        const alive = new Map();
+        const isAlive = (pid) => pid === ns.pid || (alive.has(pid) ? alive.get(pid) : alive.set(pid, ns.isRunning(pid)).get(pid));
+        return (readPortJson(ns, SLOT_PORT)[target] || [])
+            .filter(slot => slot.start + 3 * DELTA + CHECK_MARGIN >= now && isAlive(slot.pid));
+    };
+    const writeSlots = (list) => {
+        const table = readPortJson(ns, SLOT_PORT);
+        if (list.length > 0) table[target] = list;
+        else delete table[target];
+        writePortJson(ns, SLOT_PORT, table);
+    };
+    // worst-case share of the target's money stolen by `list`: successes at CONFIDENCE times the average batch
+    const worstStolen = (list, chance) => list.length === 0 ? 0
+        : binomialQuantile(list.length, chance, CONFIDENCE) / list.length * list.reduce((sum, slot) => sum + slot.frac, 0);
+    // next free slot landing no earlier than `earliest` for a batch stealing `frac` (hack chance `chance`);
+    // null once the target's slot cap or total hack% cap is reached
+    const reserveSlot = (earliest, frac, chance, maxInFlight) => {
+        const list = targetSlots();
+        const last = list[list.length - 1];
+        const slot = { start: Math.ceil(Math.max(earliest, last ? last.start + SLOT_MS : 0)), pid: ns.pid, frac };
+        if (list.length >= maxInFlight || worstStolen([...list, slot], chance) > MAX_TOTAL_HACK_PCT) return null;
+        list.push(slot);
+        writeSlots(list);
+        return slot;
+    };
+    const releaseSlot = (slot) => writeSlots(targetSlots().filter(x => x.pid !== slot.pid || x.start !== slot.start));
+    const releaseOwnSlots = () => writeSlots(targetSlots().filter(x => x.pid !== ns.pid));
+    ns.atExit(() => { releasePrep(); releaseOwnSlots(); });
+
+    // ---- landed-batch sampling / desync detection ----
+    const inFlight = [];   // { id, pids, ram, hackLand, lastLand, checked, hackThreads, growThreads, growCores, stale }
+    let driftStrikes = 0;
+    let draining = false;
+    let retiring = null; // drain request we are finishing up for
+    let desyncCount = 0;
+
+    const recordDesync = (sec, money) => {
+        desyncCount++;
+        const key = `${target}@${name}`;
+        const stats = readPortJson(ns, DESYNC_PORT);
+        const prev = stats[key] || { target, host: name, count: 0 };
+        stats[key] = { target, host: name, count: prev.count + 1, last: Date.now(), sec, money };
+        writePortJson(ns, DESYNC_PORT, stats);
+    };
+
+    // sample the target in the slot-table gap after a batch lands: between its W2 and the next slot's H
+    // (ours or another batcher's, the table is shared) nothing is mid-landing even with a full pipeline;
+    // a sample we woke too late for is skipped
+    function checkLandings() {
+        const now = Date.now();
+        const due = inFlight.filter(b => !b.checked && now >= b.lastLand + CHECK_MARGIN);
+        if (due.length > 0) {
+            for (const b of due) b.checked = true;
+            const landed = due.reduce((m, b) => Math.max(m, b.lastLand), 0);
+            const nextHack = targetSlots().reduce((m, slot) => slot.start > landed ? Math.min(m, slot.start) : m, Infinity);
+            if (now < nextHack - SAMPLE_GUARD && !draining) {
+                const sec = ns.getServerSecurityLevel(target);
+                const minSec = ns.getServerMinSecurityLevel(target);
+                const money = ns.getServerMoneyAvailable(target);
+                const maxMoney = ns.getServerMaxMoney(target);
+                if (sec > minSec + DESYNC_SEC_TOLERANCE || money < maxMoney * DESYNC_MONEY_RATIO) {
+                    driftStrikes++;
+                    ns.print(`drift ${target}: sec ${sec.toFixed(3)}/${minSec.toFixed(3)}, money ${(100 * money / Math.max(1, maxMoney)).toFixed(2)}% (strike ${driftStrikes}/${DESYNC_STRIKES})`);
+                    if (driftStrikes >= DESYNC_STRIKES) {
+                        draining = true;
+                        recordDesync(sec, money);
+                        // the claim also stops the other batchers on the target until it is prepped again
+                        const holder = claimPrep();
+                        ns.print(`DESYNC #${desyncCount} ${target} on ${name}: stop scheduling, draining ${inFlight.length} batches, then re-prep${holder ? ` (${holder.host} already holds the prep)` : ""}`);
+                    }
+                } else {
+                    driftStrikes = 0;
+                }
+            }
+        }
+        // forget batches that have landed and been looked at
+        for (let i = inFlight.length - 1; i >= 0; i--) {
+            if (inFlight[i].checked && now >= inFlight[i].lastLand + CHECK_MARGIN) {
+                reports.forget(inFlight[i].id);
+                inFlight.splice(i, 1);
+            }
+        }
+    }
+
+    // ---- hacking level changes ----
+    // durations were fixed at launch, but hack money is computed when the hack lands: after a level-up
+    // a pending hack steals more than planned. Grow carries LEVEL_HEADROOM for that, so only a batch whose
+    // grow can no longer refill its hack loses the hack; its W1/G/W2 land on a prepped target and leave it unchanged.
+    let knownLevel = ns.getHackingLevel();
+    function checkLevel() {
+        const level = ns.getHackingLevel();
+        if (level === knownLevel) return;
+        const from = knownLevel;
+        knownLevel = level;
+        const now = Date.now();
+        const pending = inFlight.filter(b => !b.stale && now < b.hackLand - CHECK_MARGIN);
+        if (pending.length === 0) return;
+        const perHack = hackPerThread();
+        let dropped = 0;
+        for (const b of pending) {
+            const hackedFraction = Math.min(0.999, b.hackThreads * perHack);
+            const growNeeded = Math.ceil(ns.growthAnalyze(target, 1 / (1 - hackedFraction), b.growCores));
+            if (growNeeded <= b.growThreads) continue;
+            ns.kill(b.pids[0]);
+            b.stale = true;
+            b.ram -= b.hackThreads * ramHack;
+            dropped++;
+        }
+        ns.print(`level ${from} -> ${level}: ${dropped}/${pending.length} pending batches would over-hack ${target}, their hacks killed; ${pending.length - dropped} kept`);
+    }
+
+    // next moment a batch on the target (ours or another batcher's) has just finished landing, so security
+    // is back at min, or a plain loop delay
+    const nextQuietAt = () => {
+        const next = targetSlots().reduce((m, slot) => Math.min(m, slot.start + 3 * DELTA + CHECK_MARGIN), Infinity);
+        return Number.isFinite(next) ? Math.max(next, Date.now() + 10) : Date.now() + LOOP_DELAY;
+    };
+
+    // sleep until `until`, waking at every batch landing window to sample the target
+    async function waitAndSample(until) {
+        while (true) {
+            pollReports();
+            checkLevel();
+            checkLandings();
+            const now = Date.now();
+            if (now >= until) return;
+            const nextCheck = inFlight.reduce((m, b) => b.checked ? m : Math.min(m, b.lastLand + CHECK_MARGIN), Infinity);
+            await ns.sleep(Math.max(10, Math.min(until, nextCheck) - now));
+        }
+    }
+
+    // reserve + launch one batch as a unit: either every job starts or none stays running
+    function launchBatch(jobs, batchId) {
+        const needed = jobs.reduce((sum, j) => sum + j.threads * scriptRam[j.script], 0);
+        const freeBefore = totalFree(opts.pool());
+        const pids = [];
+        for (const j of jobs) {
+            const pid = ns.exec(j.script, j.host, j.threads, target, j.delay, reports.port, batchId, j.plannedEnd, stock, ...tag);
+            if (pid) { pids.push(pid); continue; }
+            const freeAtFailure = opts.pool().find(h => h.host === j.host);
+            const usedAtFailure = ns.getServerUsedRam(j.host);
+            for (const started of pids) ns.kill(started);
+            const jobRam = j.threads * scriptRam[j.script];
+            ns.print(`launch failed ${target}: ${j.label} (${j.script} x${j.threads} = ${jobRam.toFixed(2)}GB) did not start on ${j.host}; ` +
+                `batch ${needed.toFixed(2)}GB, pool free before ${freeBefore.toFixed(2)}GB, ${j.host} free at failure ${(freeAtFailure ? freeAtFailure.free : 0).toFixed(2)}GB, ` +
+                `${j.host} used ${usedAtFailure.toFixed(2)}/${ns.getServerMaxRam(j.host)}GB -> killed ${pids.length} started job(s)`);
+            return null;
+        }
+        return pids;
+    }
+
+    let prepped = false;
+    while (true) {
+        try {
+            if (!ns.serverExists(target)) {
+                ns.tprint(`${label}: target ${target} missing -> exit`);
+                return null;
+            }
+
+            // drain request: stop scheduling, then hand over once everything in flight has landed
+            if (!retiring) {
+                retiring = takeDrainRequest(ns);
+                if (retiring) {
+                    draining = true;
+                    ns.print(`drain ${target}: stop scheduling, letting ${inFlight.length} batches land, then -> ${retiring.target}`);
+                }
+            }
+
+            // another batcher on the target found a desync and claimed the re-prep: let ours land and wait for it
+            if (prepped && !draining) {
+                const holder = prepHolder();
+                if (holder) {
+                    draining = true;
+                    ns.print(`hold ${target}: ${holder.host} is re-prepping it, stop scheduling, letting ${inFlight.length} batches land`);
+                }
+            }
+
+            // desync or drain request: let in-flight jobs land, then fall back to prep (or hand over)
+            if (draining) {
+                const running = inFlight.filter(b => b.pids.some(pid => ns.isRunning(pid)));
+                if (running.length > 0) {
+                    const lastLand = Math.max(...running.map(b => b.lastLand));
+                    ns.print(`draining ${target}: ${running.length} batches in flight, last lands in ${Math.max(0, Math.round((lastLand - Date.now()) / 1000))}s`);
+                    await ns.sleep(Math.max(200, Math.min(5000, lastLand + CHECK_MARGIN - Date.now())));
+                    continue;
+                }
+                if (retiring) {
+                    releasePrep();
+                    ns.print(`drained ${target}: all batches landed, handing over to ${retiring.target}`);
+                    return retiring;
+                }
+                inFlight.length = 0;
+                releaseOwnSlots();
+                draining = false;
+                driftStrikes = 0;
+                prepped = false;
+                ns.print(`drained ${target}: re-prepping (desyncs so far: ${desyncCount})`);
+            }
+
+            // batch only against a prepped target (min security, max money)
+            if (!prepped) {
+                if (isPrepped()) {
+                    prepped = true;
+                    releasePrep();
+                    ns.print(`prep ${target}: done (sec ${ns.getServerSecurityLevel(target).toFixed(2)}, money ${fmt(ns.getServerMoneyAvailable(target))}) -> batching`);
+                } else {
+                    const holder = prepHolder();
+                    const busy = targetSlots();
+                    if (holder) {
+                        ns.print(`prep ${target}: already being prepped by ${holder.host} (pid ${holder.pid}), waiting`);
+                        await ns.sleep(PREP_WAIT_MS);
+                    } else if (busy.length > 0) {
+                        // other batchers' batches are landing: look again in the next quiet gap, never prep into them
+                        ns.print(`prep ${target}: ${busy.length} batches of other batchers in flight, waiting for a quiet gap`);
+                        await ns.sleep(Math.max(200, nextQuietAt() - Date.now()));
+                    } else {
+                        claimPrep();
+                        await prepWave();
+                    }
+                    continue;
+                }
+            }
+
+            // launch only at min security: durations lock in at launch, so a job started while an
+            // earlier batch has security raised would run long and land outside its slot
+            if (ns.getServerSecurityLevel(target) > ns.getServerMinSecurityLevel(target) + PREP_SEC_TOLERANCE) {
+                if (targetSlots().length === 0) {
+                    prepped = false; // no batch on the target explains it: someone else touched it
+                    continue;
+                }
+                await waitAndSample(nextQuietAt());
+                continue;
+            }
+
+            // times (ms), read fresh every wave so a level-up shortens the next batches too
+            checkLevel();
+            const hackTime = ns.getHackTime(target);
+            const growTime = ns.getGrowTime(target);
+            const weakenTime = ns.getWeakenTime(target);
+            const longest = Math.max(hackTime, growTime, weakenTime);
+
+            const perHack = hackPerThread();
+            const chance = Math.max(0, Math.min(1, hackChance()));
+            // in-flight batches whose hacks can all succeed within the total cap at CONFIDENCE
+            const capByHackPct = (limit, hackedFraction) => maxConcurrentByHackPct(limit, hackedFraction, chance, MAX_TOTAL_HACK_PCT, CONFIDENCE);
+
+            // thread counts for a batch whose grow/weaken jobs run on hosts with the given cores
+            // grow refills a hack LEVEL_HEADROOM larger than planned, so level-ups while in flight stay covered
+            const growFor = (hackedFraction, cores) => Math.max(1, Math.ceil(ns.growthAnalyze(target, 1 / (1 - Math.min(0.999, hackedFraction * (1 + LEVEL_HEADROOM))), cores)));
+            const weakenFor = (sec, cores) => Math.max(1, Math.ceil((sec - SEC_EPSILON) / ns.weakenAnalyze(1, cores)));
+            const threadsForPct = (pct) => Math.max(1, Math.ceil(pct / perHack));
+
+            // size a full HWGW batch from its hack threads using the game's own security/growth numbers
+            const planBatch = (hackThreads, cores) => {
+                hackThreads = Math.max(1, Math.floor(hackThreads));
+                const hackedFraction = Math.min(0.999, hackThreads * perHack);
+                const growThreads = growFor(hackedFraction, cores);
+                const weaken1Threads = weakenFor(ns.hackAnalyzeSecurity(hackThreads, target), cores);
+                const weaken2Threads = weakenFor(ns.growthAnalyzeSecurity(growThreads, target, cores), cores);
+                const ram = hackThreads * ramHack + growThreads * ramGrow + (weaken1Threads + weaken2Threads) * ramWeaken;
+                return { hackThreads, growThreads, weaken1Threads, weaken2Threads, hackedFraction, ram };
+            };
+
+            // extra threads needed so security and money return exactly to baseline after a placed batch
+            const weakenShort = (threads, sec, cores) => Math.max(0, Math.ceil((sec - ns.weakenAnalyze(threads, cores) - SEC_EPSILON) / ns.weakenAnalyze(1, cores)));
+            const baselineShortfall = (b) => {
+                const grow = Math.max(0, Math.ceil(ns.growthAnalyze(target, 1 / (1 - b.hackedFraction), b.G.cores)) - b.G.threads);
+                return {
+                    grow,
+                    weaken1: weakenShort(b.W1.threads, ns.hackAnalyzeSecurity(b.H.threads, target), b.W1.cores),
+                    weaken2: weakenShort(b.W2.threads, ns.growthAnalyzeSecurity(b.G.threads + grow, target, b.G.cores), b.W2.cores),
+                };
+            };
+
+            // put one batch on the pool: G on the highest-core host that fits, H/W best-fit; null when it does not fit
+            const placeBatch = (hackThreads, hosts) => {
+                const hackedFraction = Math.min(0.999, hackThreads * perHack);
+                const taken = [];
+                const take = (label, script, fits) => {
+                    const h = fits();
+                    if (!h) return null;
+                    const job = { label, script, host: h.host, cores: h.cores, threads: h.threads };
+                    h.ref.free -= job.threads * scriptRam[script];
+                    taken.push(job);
+                    return job;
+                };
+                const byCores = [...hosts].sort((a, b) => b.cores - a.cores || b.free - a.free);
+                const bestFit = [...hosts].sort((a, b) => a.free - b.free);
+                const firstFit = (list, script, threadsOn) => () => {
+                    for (const h of list) {
+                        const threads = threadsOn(h);
+                        if (threads * scriptRam[script] <= h.free) return { host: h.host, cores: h.cores, threads, ref: h };
+                    }
+                    return null;
+                };
+                const release = () => { for (const j of taken) hosts.find(h => h.host === j.host).free += j.threads * scriptRam[j.script]; return null; };
+
+                const batch = { hackedFraction };
+                batch.G = take("G", "grow.js", firstFit(byCores, "grow.js", h => growFor(hackedFraction, h.cores)));
+                if (!batch.G) return release();
+                batch.H = take("H", "hack.js", firstFit(bestFit, "hack.js", () => hackThreads));
+                if (!batch.H) return release();
+                const secHack = ns.hackAnalyzeSecurity(hackThreads, target);
+                batch.W1 = take("W1", "weaken.js", firstFit(bestFit, "weaken.js", h => weakenFor(secHack, h.cores)));
+                if (!batch.W1) return release();
+                const secGrow = ns.growthAnalyzeSecurity(batch.G.threads, target, batch.G.cores);
+                batch.W2 = take("W2", "weaken.js", firstFit(bestFit, "weaken.js", h => weakenFor(secGrow, h.cores)));
+                if (!batch.W2) return release();
+
+                // re-check the placed batch: weakens must cancel hack+grow security and grow must refill the hack exactly
+                const short = baselineShortfall(batch);
+                for (const [job, extra] of [[batch.G, short.grow], [batch.W1, short.weaken1], [batch.W2, short.weaken2]]) {
+                    if (!extra) continue;
+                    const h = hosts.find(x => x.host === job.host);
+                    if (h.free < extra * scriptRam[job.script]) return release();
+                    h.free -= extra * scriptRam[job.script];
+                    job.threads += extra;
+                }
+                if (short.grow || short.weaken1 || short.weaken2) {
+                    ns.print(`${label} topped up batch to baseline: +g=${short.grow} +w1=${short.weaken1} +w2=${short.weaken2}`);
+                }
+                batch.ram = taken.reduce((sum, j) => sum + j.threads * scriptRam[j.script], 0);
+                return batch;
+            };
+
+            const hosts = opts.pool();
+            const freeRam = totalFree(hosts);
+            // size with the weakest cores in the pool so the RAM estimate never comes out short
+            const refCores = hosts.length ? Math.min(...hosts.map(h => h.cores)) : 1;
+
+            let hackPct = BASE_HACK_PCT;
+            let plan = planBatch(threadsForPct(hackPct), refCores);
+
+            // concurrency: batches in flight at once, limited by RAM (ours in flight + free) and by how many
+            // slots fit inside one weaken time
+            const maxInFlight = Math.max(1, Math.floor(weakenTime / SLOT_MS));
+            const budgetRam = freeRam + inFlight.reduce((sum, b) => sum + b.ram, 0);
+            let concurrency = Math.min(maxInFlight, Math.max(1, Math.floor(budgetRam / plan.ram)));
+
+            // worst-case successful hacks across concurrency; if they exceed MAX_TOTAL_HACK_PCT, reduce per-batch hackPct
+            const worstHacks = binomialQuantile(concurrency, chance, CONFIDENCE);
+            if (worstHacks * plan.hackedFraction > MAX_TOTAL_HACK_PCT) {
+                hackPct = Math.max(0.001, MAX_TOTAL_HACK_PCT / worstHacks);
+                plan = planBatch(threadsForPct(hackPct), refCores);
+                concurrency = capByHackPct(Math.min(maxInFlight, Math.max(1, Math.floor(budgetRam / plan.ram))), plan.hackedFraction);
+            }
+            // rounding hack threads up can leave even one batch over the cap: take the largest hack that fits
+            if (concurrency === 0) {
+                plan = planBatch(Math.floor(MAX_TOTAL_HACK_PCT / perHack), refCores);
+                concurrency = capByHackPct(Math.min(maxInFlight, Math.max(1, Math.floor(budgetRam / plan.ram))), plan.hackedFraction);
+            }
+            if (concurrency === 0) {
+                ns.print(`${label}->${target} skip wave: one hack thread steals ${(100 * perHack).toFixed(2)}%, over the ${(100 * MAX_TOTAL_HACK_PCT).toFixed(0)}% total cap`);
+                await waitAndSample(Date.now() + LOOP_DELAY + Math.floor(Math.random() * 400));
+                continue;
+            }
+
+            // Not enough RAM for one batch: shrink hack threads and re-derive the rest (never scale G/W blindly)
+            let hackThreads = plan.hackThreads;
+            let first = placeBatch(hackThreads, hosts);
+            while (!first && hackThreads > 1) {
+                hackThreads = Math.max(1, Math.floor(hackThreads / 2));
+                first = placeBatch(hackThreads, hosts);
+            }
+            if (!first) {
+                ns.print(`${label}->${target} skip wave: balanced batch needs ${Math.round(planBatch(1, refCores).ram)}GB, free ${Math.round(freeRam)}GB (largest host ${Math.round(Math.max(0, ...hosts.map(h => h.free)))}GB)`);
+                await waitAndSample(Date.now() + LOOP_DELAY + Math.floor(Math.random() * 400));
+                continue;
+            }
+
+            // smaller batches than planned (fragmented pool): more of them fit, still under the total cap
+            if (hackThreads < plan.hackThreads) {
+                concurrency = capByHackPct(Math.min(maxInFlight, budgetRam / first.ram), first.hackedFraction);
+            }
+
+            // top up to `concurrency` batches in flight, as far as free RAM allows
+            const toLaunch = Math.min(concurrency - inFlight.length, Math.floor(freeRam / first.ram));
+            if (toLaunch <= 0) {
+                await waitAndSample(Date.now() + LOOP_DELAY + Math.floor(Math.random() * 400));
+                continue;
+            }
+
+            // fill the next free slots; the first can't land before the longest action could finish
+            const earliest = Date.now() + longest + BUFFER;
+            let launched = 0;
+            let batch = first;
+            for (let b = 0; b < toLaunch && batch; b++) {
+                const slot = reserveSlot(earliest, batch.hackedFraction, chance, maxInFlight);
+                if (!slot) break; // the target is full, counting the other batchers on it
+                const T = slot.start;
+
+                // compute additionalMsec for each job so it lands on its mark
+                batch.H.delay = Math.max(0, Math.round((T - hackTime) - Date.now()));
+                batch.W1.delay = Math.max(0, Math.round((T + DELTA - weakenTime) - Date.now()));
+                batch.G.delay = Math.max(0, Math.round((T + 2 * DELTA - growTime) - Date.now()));
+                batch.W2.delay = Math.max(0, Math.round((T + 3 * DELTA - weakenTime) - Date.now()));
+                batch.H.plannedEnd = T;
+                batch.W1.plannedEnd = T + DELTA;
+                batch.G.plannedEnd = T + 2 * DELTA;
+                batch.W2.plannedEnd = T + 3 * DELTA;
+
+                // exec scripts as one unit (action starts now, lands after its time + additionalMsec)
+                const id = `${ns.pid}.${++batchSeq}`;
+                const pids = launchBatch([batch.H, batch.W1, batch.G, batch.W2], id);
+                if (!pids) { // RAM ran out mid-wave; try again next wave
+                    releaseSlot(slot);
+                    break;
+                }
+                inFlight.push({
+                    id, pids, ram: batch.ram, hackLand: T, lastLand: T + 3 * DELTA, checked: false,
+                    hackThreads: batch.H.threads, growThreads: batch.G.threads, growCores: batch.G.cores, stale: false,
+                });
+                launched++;
+                batch = placeBatch(hackThreads, hosts);
+            }
+
+            // income per batch: expected = chance * stolen; worst case = the CONFIDENCE lower bound of
+            // successes among the batches in flight, spread over them
+            const maxMoney = ns.getServerMaxMoney(target);
+            const perSuccess = first.hackedFraction * maxMoney;
+            const flying = Math.max(1, inFlight.length);
+            const worstShare = binomialQuantile(flying, chance, 1 - CONFIDENCE) / flying;
+            planStats = { chance, confidence: CONFIDENCE, expectedPerBatch: chance * perSuccess, worstPerBatch: worstShare * perSuccess };
+
+            const spread = new Set([first.H, first.W1, first.G, first.W2].map(j => j.host)).size;
+            const rs = reports.summary();
+            ns.print(`${label}->${target} scheduled: perBatch(h=${first.H.threads},g=${first.G.threads},w1=${first.W1.threads},w2=${first.W2.threads}) on ${spread} host(s), launched=${launched}, inFlight=${inFlight.length}/${concurrency} (target slots ${targetSlots().length}/${maxInFlight}), perBatchRam=${Math.round(first.ram)}, freeRam=${Math.round(freeRam)}, totalHackPct=${(inFlight.length * first.hackedFraction).toFixed(4)} ` +
+                `(worst ${(binomialQuantile(flying, chance, CONFIDENCE) * first.hackedFraction).toFixed(4)} @${CONFIDENCE}), ` +
+                `income/batch exp ${fmt(planStats.expectedPerBatch)} worst ${fmt(planStats.worstPerBatch)} (chance ${chance.toFixed(2)}); ` +
+                `reports: hacks ${rs.hacks - rs.hackFails}/${rs.hacks} ok, stolen ${fmt(rs.stolen)}, late jobs ${rs.late} (max ${Math.round(rs.maxLateMs)}ms)`);
+
+            // wait a bit before next scheduling wave, sampling landings meanwhile
+            await waitAndSample(Date.now() + LOOP_DELAY + Math.floor(Math.random() * 400));
+        } catch (e) {
+            ns.print(`${label} error: ` + String(e));
+            await ns.sleep(1500);
+        }
+    }
+}
@@ -0,0 +1,91 @@
+/** batch-reports.js
+ * Completion reports from the one-shot job scripts (hack.js / grow.js / weaken.js).
+ *
+ * A launcher passes [reportPort, batchId, plannedEnd] after the usual [target, additionalMsec] job args;
+ * the job then writes one JSON record to that port when its action returns:
+ *   { batch, action, target, pid, result, plannedEnd, end }
+ *   result: hack -> money stolen (0 = failed), grow -> multiplier, weaken -> security removed
+ *
+ * Each batcher reads its own port (REPORT_PORT_BASE + its pid) through createReportCollector and
+ * publishes a summary on REPORT_STATS_PORT, which controllers and batch-stats.js read with readReportStats.
+ * Ports hold 50 entries by default and drop the oldest when full, so poll at least every few hundred ms.
+ */
+import { REPORT_STATS_PORT, REPORT_PORT_BASE, readPortJson, writePortJson } from "ports.js";
+
+/** Report port owned by the batcher with this pid. */
+export function reportPortFor(pid) {
+    return REPORT_PORT_BASE + pid;
+}
+
+/**
+ * Drains a report port and keeps per-batch records plus running totals.
+ * @param {NS} ns
+ * @param {number} port
+ */
+export function createReportCollector(ns, port) {
+    const LATE_MS = 50;        // a job landing this much after its planned end counts as late
+    const MAX_BATCHES = 2000;  // per-batch records kept; oldest dropped first (late reports after forget())
+    const batches = new Map(); // batchId -> records[]
+    const totals = { jobs: 0, hacks: 0, hackFails: 0, stolen: 0, late: 0, maxLateMs: 0, since: Date.now() };
+    ns.clearPort(port);
+
+    return {
+        port,
+
+        /** Pull everything currently on the port; returns the new records. */
+        poll() {
+            const fresh = [];
+            while (true) {
+                const raw = ns.readPort(port);
+                if (raw === "NULL PORT DATA") break;
+                let rec;
+                try { rec = JSON.parse(raw); } catch { continue; }
+                fresh.push(rec);
+                if (!batches.has(rec.batch)) {
+                    if (batches.size >= MAX_BATCHES) batches.delete(batches.keys().next().value);
+                    batches.set(rec.batch, []);
+                }
+                batches.get(rec.batch).push(rec);
+                totals.jobs++;
+                if (rec.action === "hack") {
+                    totals.hacks++;
+                    if (rec.result > 0) totals.stolen += rec.result;
+                    else totals.hackFails++;
+                }
+                const lateMs = rec.end - rec.plannedEnd;
+                if (rec.plannedEnd > 0 && lateMs > LATE_MS) {
+                    totals.late++;
+                    totals.maxLateMs = Math.max(totals.maxLateMs, lateMs);
+                }
+            }
+            return fresh;
+        },
+
+        /** Records received so far for one batch. */
+        batch(id) {
+            return batches.get(id) || [];
+        },
+
+        /** Drop a batch's records once the caller is done with them. */
+        forget(id) {
+            batches.delete(id);
+        },
+
+        /** Copy of the running totals. */
+        summary() {
+            return { ...totals };
+        },
+    };
+}
+
+/** Publish a batcher's summary under "<target>@<name>" for controllers to read. */
+export function publishReportStats(ns, key, summary) {
+    const stats = readPortJson(ns, REPORT_STATS_PORT);
+    stats[key] = { ...summary, updated: Date.now() };
+    writePortJson(ns, REPORT_STATS_PORT, stats);
+}
+
+/** All published batcher summaries, keyed by "<target>@<name>". */
+export function readReportStats(ns) {
+    return readPortJson(ns, REPORT_STATS_PORT);
+}
@@ -0,0 +1,72 @@
+/** batch-stats.js
+ * Prints batcher health published by host-batcher-smart.js:
+ *  - desync events per target and per batcher host (DESYNC_PORT)
+ *  - targets currently being prepped and by whom (PREP_PORT)
+ *  - job completion summaries per target/batcher (REPORT_STATS_PORT, see batch-reports.js)
+ *  - host leases held by controllers (LEASE_PORT, see host-lease.js)
+ *
+ * Usage: run batch-stats.js [--reset]
+ *   --reset: clear the desync counters
+ */
+
+import { PREP_PORT, DESYNC_PORT, readPortJson } from "ports.js";
+import { readReportStats } from "batch-reports.js";
+import { listLeases } from "host-lease.js";
+
+/** @param {NS} ns **/
+export async function main(ns) {
+    const readJson = (port) => readPortJson(ns, port);
+
+    if (ns.args.includes("--reset")) {
+        ns.clearPort(DESYNC_PORT);
+        ns.tprint("batch-stats: desync counters cleared");
+        return;
+    }
+
+    const ago = (t) => t ? `${Math.round((Date.now() - t) / 60000)}m ago` : "-";
+
+    const events = Object.values(readJson(DESYNC_PORT));
+    const byTarget = {};
+    const byHost = {};
+    for (const e of events) {
+        byTarget[e.target] = (byTarget[e.target] || 0) + e.count;
+        byHost[e.host] = (byHost[e.host] || 0) + e.count;
+    }
+
+    const lines = ["", "=== desync events ==="];
+    if (events.length === 0) lines.push("  none recorded");
+    for (const e of events.sort((a, b) => b.count - a.count)) {
+        lines.push(`  ${e.target.padEnd(20)} @ ${e.host.padEnd(16)} x${e.count}  last ${ago(e.last)}`);
+    }
+    const rank = (m) => Object.entries(m).sort((a, b) => b[1] - a[1]).map(([k, v]) => `${k}=${v}`).join(", ");
+    if (events.length > 0) {
+        lines.push(`  by target: ${rank(byTarget)}`);
+        lines.push(`  by host:   ${rank(byHost)}`);
+    }
+
+    lines.push("=== job reports ===");
+    const fmt = (v) => typeof ns.formatNumber === "function" ? "$" + ns.formatNumber(v) : "$" + Math.round(v);
+    const reports = Object.values(readReportStats(ns));
+    if (reports.length === 0) lines.push("  none published");
+    for (const r of reports.sort((a, b) => b.stolen - a.stolen)) {
+        const mins = Math.max(1 / 60, (r.updated - r.since) / 60000);
+        lines.push(`  ${r.target.padEnd(20)} @ ${r.host.padEnd(16)} hacks ${r.hacks - r.hackFails}/${r.hacks} ok, stolen ${fmt(r.stolen)} (${fmt(r.stolen / mins)}/min), late ${r.late}/${r.jobs} (max ${Math.round(r.maxLateMs)}ms), updated ${ago(r.updated)}`);
+        if (r.expectedPerBatch !== undefined) {
+            lines.push(`  ${"".padEnd(20)}   per batch: expected ${fmt(r.expectedPerBatch)}, worst ${fmt(r.worstPerBatch)} @${r.confidence} (chance ${r.chance.toFixed(2)})`);
+        }
+    }
+
+    lines.push("=== prepping ===");
+    const claims = Object.entries(readJson(PREP_PORT));
+    if (claims.length === 0) lines.push("  none");
+    for (const [target, c] of claims) {
+        lines.push(`  ${target.padEnd(20)} by ${c.host} (pid ${c.pid}${ns.isRunning(c.pid) ? "" : ", dead"}) since ${ago(c.since)}`);
+    }
+    lines.push("=== host leases ===");
+    const leases = listLeases(ns);
+    if (leases.length === 0) lines.push("  none");
+    for (const l of leases.sort((a, b) => a.host.localeCompare(b.host))) {
+        lines.push(`  ${l.host.padEnd(20)} ${l.owner} (pid ${l.pid}${l.live ? "" : ", dead"}) since ${ago(l.since)}`);
+    }
+    ns.tprint(lines.join("\n"));
+}
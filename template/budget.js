@@ -0,0 +1,115 @@
+/** budget.js
+ * Shared investment allocator for everything that spends home cash (hacknet-manager.js, orchestrator.js,
+ * programs.js).
+ *
+ * - one cash reserve for all spenders (share of home money), plus an optional savings goal: while a goal
+ *   is set, nothing is spent at all; once cash reaches it, clear it with --clear to resume spending
+ * - each spender posts its best next purchase as a bid { cost, paybackSec } on BUDGET_PORT; the bid with
+ *   the fastest payback gets first claim on the money, others may only spend what is left beyond its cost
+ * - settings live in BUDGET_FILE on home, so they survive restarts
+ *
+ * Usage: run budget.js                      show reserve, goal, spendable cash and current bids
+ *        run budget.js --save=5b            hold $5b (k/m/b/t/q suffixes) and pause spending until then
+ *        run budget.js --clear              drop the savings goal (resumes spending)
+ *        run budget.js --reserve=0.12       keep this share of home cash untouched
+ */
+import { BUDGET_PORT, readPortJson, writePortJson } from "ports.js";
+
+export const BUDGET_FILE = "/bitfer/budget.json";
+const DEFAULT_RESERVE_PCT = 0.12;
+const BID_TTL_MS = 5 * 60 * 1000; // bids older than this are ignored
+
+/** { savingsGoal, reservePct } from BUDGET_FILE (defaults when missing). */
+export function readBudgetConfig(ns) {
+    const cfg = { savingsGoal: 0, reservePct: DEFAULT_RESERVE_PCT };
+    try {
+        const raw = ns.read(BUDGET_FILE);
+        if (raw) Object.assign(cfg, JSON.parse(raw));
+    } catch (_) {}
+    return cfg;
+}
+
+export function writeBudgetConfig(ns, cfg) {
+    ns.write(BUDGET_FILE, JSON.stringify(cfg, null, 2), "w");
+}
+
+/** Home cash any spender may use right now, after the reserve; 0 while a savings goal is set. */
+export function spendable(ns) {
+    const cfg = readBudgetConfig(ns);
+    if (cfg.savingsGoal > 0) return 0;
+    const money = ns.getServerMoneyAvailable("home");
+    return Math.max(0, money - money * cfg.reservePct);
+}
+
+/** Post (or with null, withdraw) this spender's best next purchase: { cost, paybackSec, desc }. */
+export function submitBid(ns, bidder, bid) {
+    const bids = readPortJson(ns, BUDGET_PORT);
+    if (bid) bids[bidder] = { cost: bid.cost, paybackSec: bid.paybackSec, desc: bid.desc || "", pid: ns.pid, at: Date.now() };
+    else delete bids[bidder];
+    writePortJson(ns, BUDGET_PORT, bids);
+}
+
+/** Bids from running spenders, fastest payback first. */
+export function liveBids(ns) {
+    const now = Date.now();
+    return Object.entries(readPortJson(ns, BUDGET_PORT))
+        .map(([bidder, b]) => ({ bidder, ...b }))
+        .filter(b => now - b.at < BID_TTL_MS && ns.isRunning(b.pid))
+        .sort((a, b) => a.paybackSec - b.paybackSec);
+}
+
+/**
+ * Cash `bidder` may spend now: everything spendable when its bid pays back fastest (or nobody else bids),
+ * otherwise only what is left after setting aside the leading bid's cost.
+ */
+export function allowance(ns, bidder) {
+    const cash = spendable(ns);
+    const best = liveBids(ns)[0];
+    if (!best || best.bidder === bidder) return cash;
+    return Math.max(0, cash - best.cost);
+}
+
+/** Parse "5b", "250m", "1.5t" or a plain number. */
+export function parseMoney(str) {
+    const m = String(str).trim().toLowerCase().match(/^([\d.]+)\s*([kmbtq]?)$/);
+    if (!m) return NaN;
+    const mult = { "": 1, k: 1e3, m: 1e6, b: 1e9, t: 1e12, q: 1e15 }[m[2]];
+    return Number(m[1]) * mult;
+}
+
+/** @param {NS} ns */
+export async function main(ns) {
+    const args = ns.args.map(String);
+    const cfg = readBudgetConfig(ns);
+    const fmt = (v) => typeof ns.formatNumber === "function" ? "$" + ns.formatNumber(v) : "$" + Math.round(v);
+
+    const saveArg = args.find(a => a.startsWith("--save="));
+    const reserveArg = args.find(a => a.startsWith("--reserve="));
+    if (saveArg) {
+        const goal = parseMoney(saveArg.split("=")[1]);
+        if (!(goal >= 0)) {
+            ns.tprint(`budget: can't read amount in ${saveArg}`);
+            return;
+        }
+        cfg.savingsGoal = goal;
+    }
+    if (args.includes("--clear")) cfg.savingsGoal = 0;
+    if (reserveArg) cfg.reservePct = Math.min(0.95, Math.max(0, Number(reserveArg.split("=")[1]) || 0));
+    if (saveArg || reserveArg || args.includes("--clear")) writeBudgetConfig(ns, cfg);
+
+    const money = ns.getServerMoneyAvailable("home");
+    const lines = [
+        "",
+        `home cash ${fmt(money)}, reserve ${(cfg.reservePct * 100).toFixed(0)}%, savings goal ${cfg.savingsGoal > 0 ? fmt(cfg.savingsGoal) : "none"}`,
+        `spendable ${fmt(spendable(ns))}${cfg.savingsGoal <= 0 ? "" : money >= cfg.savingsGoal
+            ? " (saving: goal reached, run budget.js --clear to resume spending)"
+            : ` (saving: spending paused, ${fmt(cfg.savingsGoal - money)} to go)`}`,
+        "=== bids (fastest payback first) ===",
+    ];
+    const bids = liveBids(ns);
+    if (bids.length === 0) lines.push("  none");
+    for (const b of bids) {
+        lines.push(`  ${b.bidder.padEnd(10)} ${fmt(b.cost).padEnd(12)} payback ${Math.round(b.paybackSec / 60)}m  ${b.desc}`);
+    }
+    ns.tprint(lines.join("\n"));
+}
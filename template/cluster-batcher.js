@@ -0,0 +1,89 @@
+/** cluster-batcher.js
+ * Network-level batcher: treats home, purchased and rooted servers as one RAM pool and runs the
+ * shared HWGW engine (batch-engine.js) against one target. The H, W1, G and W2 jobs of a batch may
+ * land on different hosts; grow goes to the highest-core host with room.
+ *
+ * Usage: run cluster-batcher.js <target> [hackPercent] [maxTotalHackPct] [--no-home] [--home-reserve=GB|N%] [--stock] [--confidence=q]
+ *   hackPercent: desired % stolen per *single* batch (default 0.02)
+ *   maxTotalHackPct: safety cap for combined concurrent batches (default 0.20)
+ *   --no-home: keep home out of the pool
+ *   --home-reserve=GB|N%: RAM left free on home for other scripts, in GB or as a share of home's RAM (default 32)
+ *   --stock: hacks push the target's stock price down, grows push it up
+ *   --confidence=q: quantile used for worst-case hack successes against the total cap (default 0.95)
+ *   --owner=name: tag put on every job (default cluster-batcher, see host-lease.js)
+ *
+ * Run it from home. Job scripts are copied to pool hosts as they join. It only uses free RAM and takes no
+ * host leases, so it shares hosts with orchestrator.js and never kills anything it did not start.
+ * A drain request (requestDrain in batch-engine.js) makes it exit once its in-flight batches have landed.
+ */
+import { runBatcher, ramReserve, DEFAULT_HOME_RESERVE, JOB_SCRIPTS } from "batch-engine.js";
+import { ownerFromArgs } from "host-lease.js";
+
+/** @param {NS} ns */
+export async function main(ns) {
+    ns.disableLog("sleep");
+    ns.disableLog("scan");
+    ns.disableLog("scp");
+    const args = ns.args.map(String);
+    const pos = ns.args.filter(a => !String(a).startsWith("--"));
+    const target = pos[0];
+    if (!target) {
+        ns.tprint("Usage: run cluster-batcher.js <target> [hackPct=0.02] [maxTotalHackPct=0.20] [--no-home] [--home-reserve=32] [--stock] [--confidence=0.95]");
+        return;
+    }
+
+    const USE_HOME = !args.includes("--no-home");
+    const reserveArg = args.find(a => a.startsWith("--home-reserve="));
+    const HOME_RESERVE = reserveArg ? reserveArg.split("=")[1] : DEFAULT_HOME_RESERVE;
+    const confArg = args.find(a => a.startsWith("--confidence="));
+    const HOST_REFRESH_MS = 10000; // rescan the network this often
+    const MIN_HOST_RAM = 2;        // hosts smaller than this can't hold a job
+
+    const self = ns.getHostname();
+    let hostCache = [];
+    let hostCacheAt = 0;
+
+    // rooted hosts that can run jobs, with their cores; copies job scripts to newcomers
+    function poolHosts() {
+        if (Date.now() - hostCacheAt < HOST_REFRESH_MS) return hostCache;
+        const list = [];
+        for (const h of scanAll(ns)) {
+            if (h === "home" && !USE_HOME) continue;
+            if (!ns.hasRootAccess(h)) continue;
+            if (ns.getServerMaxRam(h) < MIN_HOST_RAM) continue;
+            if (h !== self && JOB_SCRIPTS.some(f => !ns.fileExists(f, h))) ns.scp(JOB_SCRIPTS, h, self);
+            list.push({ host: h, cores: Math.max(1, ns.getServer(h).cpuCores || 1) });
+        }
+        hostCache = list;
+        hostCacheAt = Date.now();
+        return list;
+    }
+
+    const pool = () => poolHosts().map(({ host, cores }) => {
+        const maxRam = ns.getServerMaxRam(host);
+        const reserve = host === "home" ? ramReserve(HOME_RESERVE, maxRam) : 0;
+        const free = Math.max(0, maxRam - ns.getServerUsedRam(host) - reserve);
+        return { host, free, cores };
+    });
+
+    await runBatcher(ns, {
+        target,
+        name: "cluster",
+        pool,
+        hackPct: pos[1],
+        maxTotalHackPct: pos[2],
+        stock: args.includes("--stock"),
+        confidence: confArg ? Number(confArg.split("=")[1]) : undefined,
+        owner: ownerFromArgs(args) || "cluster-batcher",
+    });
+
+    function scanAll(ns) {
+        const seen = new Set(["home"]);
+        const stack = ["home"];
+        while (stack.length) {
+            const h = stack.pop();
+            for (const n of ns.scan(h)) if (!seen.has(n)) seen.add(n), stack.push(n);
+        }
+        return [...seen];
+    }
+}
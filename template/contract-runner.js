@@ -1,65 +1,133 @@
 /** contract-runner.js
- * Runs on a server, finds .cct contract files and:
- *  - if /home/contract-solver.js exists -> runs it: ns.exec("contract-solver.js", host, 1, server, contractFile)
- *  - else logs contract metadata to /tmp/contracts.json for later solving
+ * Finds coding contracts on every server and solves them with contract-solver.js.
+ *  - scans the whole network from home every SCAN_MS and collects the .cct files on each server
+ *  - new contracts join a queue with their type, attempts remaining and first-seen time
+ *  - queued contracts are solved in first-seen order; types without a solver are marked unsupported and left alone
+ *  - a wrong answer marks the contract failed and it is not retried: the solvers are deterministic, so the
+ *    remaining attempts are left for solving by hand
+ *  - /tmp/contracts.json is the ledger: every contract seen, with status queued, solved, failed, unsupported
+ *    or expired (gone from the network before it was solved), the reward and when it was last tried
  *
- * Usage: run contract-runner.js
+ * Usage: run contract-runner.js [--once]   (run it on home; --once: one scan and exit)
  */
+import { SOLVERS, solveContract } from "contract-solver.js";
+
+const LEDGER_FILE = "/tmp/contracts.json";
+const LEDGER_VERSION = 1;
+const KEEP_FINISHED = 200; // finished entries kept in the ledger
+
+/** { version, contracts: { "host/file": entry } }; the old flat array of { server, file, time, type } is taken over as queued. */
+function readLedger(ns) {
+    const ledger = { version: LEDGER_VERSION, contracts: {} };
+    let raw;
+    try {
+        raw = JSON.parse(ns.read(LEDGER_FILE) || "null");
+    } catch (_) {
+        return ledger;
+    }
+    if (Array.isArray(raw)) {
+        for (const c of raw) {
+            ledger.contracts[`${c.server}/${c.file}`] = newEntry(c.server, c.file, c.type || "", c.time || Date.now(), null);
+        }
+    } else if (raw && raw.version === LEDGER_VERSION) {
+        ledger.contracts = raw.contracts || {};
+    }
+    return ledger;
+}
+
+function writeLedger(ns, ledger) {
+    const finished = Object.entries(ledger.contracts)
+        .filter(([, c]) => c.status !== "queued")
+        .sort((a, b) => (b[1].lastAttempt || b[1].firstSeen) - (a[1].lastAttempt || a[1].firstSeen));
+    for (const [key] of finished.slice(KEEP_FINISHED)) delete ledger.contracts[key];
+    ns.write(LEDGER_FILE, JSON.stringify(ledger, null, 2), "w");
+}
+
+function newEntry(host, file, type, firstSeen, attemptsLeft) {
+    return { host, file, type, firstSeen, attemptsLeft, status: "queued", reward: "", lastAttempt: 0 };
+}
 
 /** @param {NS} ns **/
 export async function main(ns) {
     ns.disableLog("sleep");
-    const OUTPUT = "/tmp/contracts.json";
+    ns.disableLog("scan");
+    const ONCE = ns.args.map(String).includes("--once");
+    const SCAN_MS = 60 * 1000;
+    const cc = ns.codingcontract;
+
     while (true) {
         try {
-            const host = ns.getHostname();
-            // list contract files on this host
-            const allContracts = ns.ls(host).filter(f => f.endsWith(".cct"));
-            if (allContracts.length === 0) {
-                // nothing to do
-                await ns.sleep(60000);
-                continue;
+            const ledger = readLedger(ns);
+            const found = new Set();
+
+            // collect every contract on the network
+            for (const host of scanAll()) {
+                for (const file of ns.ls(host, ".cct")) {
+                    const key = `${host}/${file}`;
+                    found.add(key);
+                    const entry = ledger.contracts[key];
+                    if (!entry || entry.status === "expired") {
+                        ledger.contracts[key] = newEntry(host, file, cc.getContractType(file, host), Date.now(), cc.getNumTriesRemaining(file, host));
+                        ns.print(`found ${file} on ${host} (${ledger.contracts[key].type})`);
+                    } else if (entry.status === "queued") {
+                        entry.type = entry.type || cc.getContractType(file, host);
+                        entry.attemptsLeft = cc.getNumTriesRemaining(file, host);
+                    }
+                }
             }
 
-            const solverExists = ns.fileExists("contract-solver.js", "home");
-            for (const c of allContracts) {
+            // work the queue, oldest first
+            const queue = Object.entries(ledger.contracts)
+                .filter(([, c]) => c.status === "queued")
+                .sort((a, b) => a[1].firstSeen - b[1].firstSeen);
+            for (const [key, c] of queue) {
+                if (!found.has(key)) {
+                    c.status = "expired";
+                    ns.tprint(`contract-runner: ${c.file} on ${c.host} (${c.type}) is gone before it was solved`);
+                    continue;
+                }
+                if (!SOLVERS[c.type]) {
+                    c.status = "unsupported";
+                    ns.tprint(`contract-runner: no solver for "${c.type}" (${c.file} on ${c.host}), left for solving by hand`);
+                    continue;
+                }
                 try {
-                    // if solver present in home, exec it (pass server + contract filename)
-                    if (solverExists) {
-                        ns.tprint(`contract-runner: launching solver for ${c} on ${host}`);
-                        ns.exec("contract-solver.js", "home", 1, host, c); // run solver on home
-                        // optionally you could run solver on this host; using home keeps solver in a stable place
-                    } else {
-                        // collect info and append to file for manual solving later
-                        const data = { server: host, file: c, time: Date.now(), type: "" };
-                        try {
-                            // read first line of contract to attempt to identify type (some versions include type as header)
-                            // fallback: ns.codingcontract.getContractType exists in newer versions but may be limited
-                            if (typeof ns.codingcontract === "object" && typeof ns.codingcontract.getContractType === "function") {
-                                data.type = ns.codingcontract.getContractType(c, host) || "";
-                            }
-                        } catch (_) {}
-                        // write to JSON file (append)
-                        let existing = [];
-                        try {
-                            const raw = ns.read(OUTPUT);
-                            existing = raw ? JSON.parse(raw) : [];
-                        } catch (e) { existing = []; }
-                        // dedupe
-                        if (!existing.some(x => x.server === data.server && x.file === data.file)) {
-                            existing.push(data);
-                            ns.write(OUTPUT, JSON.stringify(existing, null, 2), "w");
-                            ns.tprint(`contract-runner: logged ${c} on ${host} -> ${OUTPUT}`);
-                        }
-                    }
+                    // read before attempting: a failed last attempt deletes the contract
+                    const triesBefore = cc.getNumTriesRemaining(c.file, c.host);
+                    const result = solveContract(ns, c.host, c.file);
+                    c.status = result.status;
+                    c.reward = result.reward;
+                    c.lastAttempt = Date.now();
+                    c.attemptsLeft = result.status === "solved" ? 0 : triesBefore - 1;
+                    ns.tprint(result.status === "solved"
+                        ? `contract-runner: ✅ ${c.file} on ${c.host} (${c.type}): ${result.reward}`
+                        : `contract-runner: ❌ wrong answer for ${c.file} on ${c.host} (${c.type}), ` +
+                          (c.attemptsLeft > 0 ? `${c.attemptsLeft} attempts left for solving by hand` : "no attempts left, the game removed it"));
                 } catch (e) {
-                    ns.tprint("contract-runner item error: " + String(e));
+                    // the contract stays queued and is tried again next scan
+                    ns.tprint(`contract-runner: solving ${c.file} on ${c.host} (${c.type}) threw: ${String(e)}`);
                 }
             }
-            await ns.sleep(60000);
+
+            writeLedger(ns, ledger);
+            const counts = {};
+            for (const c of Object.values(ledger.contracts)) counts[c.status] = (counts[c.status] || 0) + 1;
+            ns.print(`scan done: ${found.size} on the network; ledger ${Object.entries(counts).map(([s, n]) => `${s} ${n}`).join(", ") || "empty"}`);
+            if (ONCE) return;
+            await ns.sleep(SCAN_MS);
         } catch (e) {
             ns.tprint("contract-runner error: " + String(e));
-            await ns.sleep(60000);
+            if (ONCE) return;
+            await ns.sleep(SCAN_MS);
+        }
+    }
+
+    function scanAll() {
+        const seen = new Set(["home"]);
+        const stack = ["home"];
+        while (stack.length) {
+            for (const n of ns.scan(stack.pop())) if (!seen.has(n)) seen.add(n), stack.push(n);
         }
+        return [...seen];
     }
 }
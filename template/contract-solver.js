@@ -0,0 +1,424 @@
+/** contract-solver.js
+ * Solves one coding contract: reads its type and data, dispatches to a pure solver in SOLVERS,
+ * submits the answer and logs the reward.
+ *
+ * - every solver takes the contract data exactly as ns.codingcontract.getData() returns it and returns the
+ *   answer in the type the game expects (number, string, array or bigint)
+ * - solveContract() is the same flow as main() for scripts that want the outcome back
+ *
+ * Usage: run contract-solver.js <server> <file.cct>
+ *        (contract-runner.js calls solveContract() for every contract it finds on the network)
+ */
+
+/** contract type -> (data) => answer */
+export const SOLVERS = {
+    "Find Largest Prime Factor": largestPrimeFactor,
+    "Subarray with Maximum Sum": maxSubarraySum,
+    "Total Ways to Sum": (n) => waysToSum(n, Array.from({ length: n - 1 }, (_, i) => i + 1)),
+    "Total Ways to Sum II": ([n, parts]) => waysToSum(n, parts),
+    "Spiralize Matrix": spiralize,
+    "Array Jumping Game": (jumps) => minJumps(jumps) >= 0 ? 1 : 0,
+    "Array Jumping Game II": (jumps) => Math.max(0, minJumps(jumps)),
+    "Merge Overlapping Intervals": mergeIntervals,
+    "Generate IP Addresses": ipAddresses,
+    "Algorithmic Stock Trader I": (prices) => stockProfit(1, prices),
+    "Algorithmic Stock Trader II": (prices) => stockProfit(Infinity, prices),
+    "Algorithmic Stock Trader III": (prices) => stockProfit(2, prices),
+    "Algorithmic Stock Trader IV": ([k, prices]) => stockProfit(k, prices),
+    "Minimum Path Sum in a Triangle": trianglePathSum,
+    "Unique Paths in a Grid I": ([rows, cols]) => uniquePaths(Array.from({ length: rows }, () => new Array(cols).fill(0))),
+    "Unique Paths in a Grid II": uniquePaths,
+    "Shortest Path in a Grid": shortestGridPath,
+    "Sanitize Parentheses in Expression": sanitizeParentheses,
+    "Find All Valid Math Expressions": ([digits, target]) => mathExpressions(digits, target),
+    "HammingCodes: Integer to Encoded Binary": hammingEncode,
+    "HammingCodes: Encoded Binary to Integer": hammingDecode,
+    "Proper 2-Coloring of a Graph": ([n, edges]) => twoColoring(n, edges),
+    "Compression I: RLE Compression": rleCompress,
+    "Compression II: LZ Decompression": lzDecompress,
+    "Compression III: LZ Compression": lzCompress,
+    "Encryption I: Caesar Cipher": ([text, shift]) => caesar(text, shift),
+    "Encryption II: Vigenère Cipher": ([text, key]) => vigenere(text, key),
+    "Square Root": squareRoot,
+};
+
+export function largestPrimeFactor(n) {
+    let factor = 2;
+    while (factor * factor <= n) {
+        if (n % factor === 0) n /= factor;
+        else factor++;
+    }
+    return n;
+}
+
+export function maxSubarraySum(arr) {
+    let best = -Infinity, run = 0;
+    for (const x of arr) {
+        run = Math.max(x, run + x);
+        best = Math.max(best, run);
+    }
+    return best;
+}
+
+/** Ways to write `n` as a sum of values from `parts` (order ignored, repeats allowed). */
+export function waysToSum(n, parts) {
+    const ways = new Array(n + 1).fill(0);
+    ways[0] = 1;
+    for (const p of parts) for (let j = p; j <= n; j++) ways[j] += ways[j - p];
+    return ways[n];
+}
+
+export function spiralize(matrix) {
+    const out = [];
+    if (matrix.length === 0) return out;
+    let top = 0, bottom = matrix.length - 1, left = 0, right = matrix[0].length - 1;
+    while (top <= bottom && left <= right) {
+        for (let c = left; c <= right; c++) out.push(matrix[top][c]);
+        top++;
+        for (let r = top; r <= bottom; r++) out.push(matrix[r][right]);
+        right--;
+        if (top <= bottom) {
+            for (let c = right; c >= left; c--) out.push(matrix[bottom][c]);
+            bottom--;
+        }
+        if (left <= right) {
+            for (let r = bottom; r >= top; r--) out.push(matrix[r][left]);
+            left++;
+        }
+    }
+    return out;
+}
+
+/** Fewest jumps from the first to the last cell (each cell holds its max jump), -1 when unreachable. */
+export function minJumps(jumps) {
+    const last = jumps.length - 1;
+    let steps = 0, reach = 0, edge = 0;
+    for (let i = 0; i < last; i++) {
+        if (i > reach) return -1;
+        reach = Math.max(reach, i + jumps[i]);
+        if (i === edge) {
+            steps++;
+            edge = reach;
+            if (edge >= last) return steps;
+        }
+    }
+    return last <= 0 ? 0 : reach >= last ? steps : -1;
+}
+
+export function mergeIntervals(intervals) {
+    const sorted = intervals.map(i => [...i]).sort((a, b) => a[0] - b[0]);
+    const out = [];
+    for (const cur of sorted) {
+        const prev = out[out.length - 1];
+        if (prev && cur[0] <= prev[1]) prev[1] = Math.max(prev[1], cur[1]);
+        else out.push(cur);
+    }
+    return out;
+}
+
+export function ipAddresses(digits) {
+    const s = String(digits);
+    const out = [];
+    const valid = (part) => part.length > 0 && part.length <= 3 && (part === "0" || part[0] !== "0") && Number(part) <= 255;
+    for (let a = 1; a <= 3; a++) {
+        for (let b = a + 1; b <= a + 3; b++) {
+            for (let c = b + 1; c <= b + 3 && c < s.length; c++) {
+                const parts = [s.slice(0, a), s.slice(a, b), s.slice(b, c), s.slice(c)];
+                if (parts.every(valid)) out.push(parts.join("."));
+            }
+        }
+    }
+    return out;
+}
+
+/** Best profit from at most `k` buy/sell transactions. */
+export function stockProfit(k, prices) {
+    if (prices.length < 2 || k <= 0) return 0;
+    if (k >= prices.length / 2) {
+        let sum = 0;
+        for (let i = 1; i < prices.length; i++) sum += Math.max(0, prices[i] - prices[i - 1]);
+        return sum;
+    }
+    const hold = new Array(k + 1).fill(-Infinity);
+    const free = new Array(k + 1).fill(0);
+    for (const p of prices) {
+        for (let t = k; t >= 1; t--) {
+            free[t] = Math.max(free[t], hold[t] + p);
+            hold[t] = Math.max(hold[t], free[t - 1] - p);
+        }
+    }
+    return free[k];
+}
+
+export function trianglePathSum(triangle) {
+    const best = [...triangle[triangle.length - 1]];
+    for (let r = triangle.length - 2; r >= 0; r--) {
+        for (let c = 0; c <= r; c++) best[c] = triangle[r][c] + Math.min(best[c], best[c + 1]);
+    }
+    return best[0];
+}
+
+/** Right/down paths from top-left to bottom-right avoiding cells marked 1. */
+export function uniquePaths(grid) {
+    const cols = grid[0].length;
+    const paths = new Array(cols).fill(0);
+    paths[0] = 1;
+    for (const row of grid) {
+        for (let c = 0; c < cols; c++) {
+            if (row[c] === 1) paths[c] = 0;
+            else if (c > 0) paths[c] += paths[c - 1];
+        }
+    }
+    return paths[cols - 1];
+}
+
+/** Shortest U/D/L/R route through cells marked 0, "" when there is none. */
+export function shortestGridPath(grid) {
+    const rows = grid.length, cols = grid[0].length;
+    if (grid[0][0] === 1 || grid[rows - 1][cols - 1] === 1) return "";
+    const moves = [[-1, 0, "U"], [1, 0, "D"], [0, -1, "L"], [0, 1, "R"]];
+    const from = new Map([["0,0", null]]);
+    const queue = [[0, 0]];
+    while (queue.length) {
+        const [r, c] = queue.shift();
+        if (r === rows - 1 && c === cols - 1) {
+            let path = "";
+            for (let key = `${r},${c}`; from.get(key); key = from.get(key)[0]) path = from.get(key)[1] + path;
+            return path;
+        }
+        for (const [dr, dc, dir] of moves) {
+            const nr = r + dr, nc = c + dc, key = `${nr},${nc}`;
+            if (nr < 0 || nc < 0 || nr >= rows || nc >= cols || grid[nr][nc] === 1 || from.has(key)) continue;
+            from.set(key, [`${r},${c}`, dir]);
+            queue.push([nr, nc]);
+        }
+    }
+    return "";
+}
+
+/** Every valid string reachable with the fewest parenthesis removals. */
+export function sanitizeParentheses(expr) {
+    const balanced = (s) => {
+        let open = 0;
+        for (const ch of s) {
+            if (ch === "(") open++;
+            else if (ch === ")" && --open < 0) return false;
+        }
+        return open === 0;
+    };
+    let level = new Set([expr]);
+    while (level.size > 0) {
+        const valid = [...level].filter(balanced);
+        if (valid.length > 0) return valid;
+        const next = new Set();
+        for (const s of level) {
+            for (let i = 0; i < s.length; i++) if (s[i] === "(" || s[i] === ")") next.add(s.slice(0, i) + s.slice(i + 1));
+        }
+        level = next;
+    }
+    return [""];
+}
+
+/** Ways to put +, - and * between the digits so the expression equals `target` (no leading zeros). */
+export function mathExpressions(digits, target) {
+    const out = [];
+    const walk = (pos, expr, value, last) => {
+        if (pos === digits.length) {
+            if (value === target) out.push(expr);
+            return;
+        }
+        for (let end = pos + 1; end <= digits.length; end++) {
+            const part = digits.slice(pos, end);
+            if (part.length > 1 && part[0] === "0") break;
+            const n = Number(part);
+            if (pos === 0) {
+                walk(end, part, n, n);
+                continue;
+            }
+            walk(end, `${expr}+${part}`, value + n, n);
+            walk(end, `${expr}-${part}`, value - n, -n);
+            walk(end, `${expr}*${part}`, value - last + last * n, last * n);
+        }
+    };
+    walk(0, "", 0, 0);
+    return out;
+}
+
+const isPowerOfTwo = (i) => (i & (i - 1)) === 0;
+
+/**
+ * Extended Hamming code of `value`: data bits (most significant first) in the non-power-of-two positions,
+ * parity bits at the powers of two, and bit 0 as the parity of the whole block.
+ */
+export function hammingEncode(value) {
+    const data = value.toString(2).split("").map(Number);
+    const bits = [0];
+    for (let i = 1, d = 0; d < data.length; i++) bits[i] = isPowerOfTwo(i) ? 0 : data[d++];
+    const syndrome = bits.reduce((acc, b, i) => b ? acc ^ i : acc, 0);
+    for (let p = 1; p < bits.length; p *= 2) bits[p] = (syndrome & p) ? 1 : 0;
+    bits[0] = bits.reduce((acc, b) => acc ^ b, 0);
+    return bits.join("");
+}
+
+/** Value of an extended Hamming code block, with at most one flipped bit corrected. */
+export function hammingDecode(code) {
+    const bits = String(code).split("").map(Number);
+    const syndrome = bits.reduce((acc, b, i) => b ? acc ^ i : acc, 0);
+    if (syndrome > 0) bits[syndrome] ^= 1;
+    const data = bits.filter((_, i) => i > 0 && !isPowerOfTwo(i)).join("");
+    return parseInt(data, 2);
+}
+
+/** Colour each vertex 0/1 so no edge joins equal colours, [] when the graph is not bipartite. */
+export function twoColoring(n, edges) {
+    const adj = Array.from({ length: n }, () => []);
+    for (const [a, b] of edges) { adj[a].push(b); adj[b].push(a); }
+    const colour = new Array(n).fill(-1);
+    for (let start = 0; start < n; start++) {
+        if (colour[start] !== -1) continue;
+        colour[start] = 0;
+        const queue = [start];
+        while (queue.length) {
+            const v = queue.shift();
+            for (const w of adj[v]) {
+                if (colour[w] === -1) { colour[w] = 1 - colour[v]; queue.push(w); }
+                else if (colour[w] === colour[v]) return [];
+            }
+        }
+    }
+    return colour;
+}
+
+export function rleCompress(s) {
+    let out = "";
+    for (let i = 0; i < s.length;) {
+        let run = 1;
+        while (run < 9 && s[i + run] === s[i]) run++;
+        out += run + s[i];
+        i += run;
+    }
+    return out;
+}
+
+/** Chunks alternate: literal "L<L chars>", then back-reference "LX" (copy L chars from X back); L = 0 skips. */
+export function lzDecompress(s) {
+    let out = "";
+    for (let i = 0, literal = true; i < s.length; literal = !literal) {
+        const len = Number(s[i++]);
+        if (literal) {
+            out += s.slice(i, i + len);
+            i += len;
+        } else if (len > 0) {
+            const back = Number(s[i++]);
+            for (let k = 0; k < len; k++) out += out[out.length - back];
+        }
+    }
+    return out;
+}
+
+/**
+ * Shortest LZ encoding of `plain` (the format lzDecompress reads). Dynamic programming over the chunk
+ * being built at each position: state [offset][length], offset 0 = literal, 1..9 = back-reference.
+ */
+export function lzCompress(plain) {
+    if (plain.length === 0) return "";
+    const fresh = () => Array.from({ length: 10 }, () => new Array(10).fill(null));
+    const keep = (state, offset, len, str) => {
+        if (state[offset][len] === null || str.length < state[offset][len].length) state[offset][len] = str;
+    };
+    let cur = fresh();
+    cur[0][1] = "";
+    for (let i = 1; i < plain.length; i++) {
+        const next = fresh();
+        const c = plain[i];
+        for (let len = 1; len <= 9; len++) {
+            const str = cur[0][len];
+            if (str === null) continue;
+            if (len < 9) keep(next, 0, len + 1, str);
+            else keep(next, 0, 1, str + "9" + plain.slice(i - 9, i) + "0");
+            for (let off = 1; off <= Math.min(9, i); off++) {
+                if (plain[i - off] === c) keep(next, off, 1, str + len + plain.slice(i - len, i));
+            }
+        }
+        for (let off = 1; off <= 9; off++) {
+            for (let len = 1; len <= 9; len++) {
+                const str = cur[off][len];
+                if (str === null) continue;
+                if (plain[i - off] === c) {
+                    if (len < 9) keep(next, off, len + 1, str);
+                    else keep(next, off, 1, str + "9" + off + "0");
+                }
+                keep(next, 0, 1, str + len + off);
+                for (let newOff = 1; newOff <= Math.min(9, i); newOff++) {
+                    if (plain[i - newOff] === c) keep(next, newOff, 1, str + len + off + "0");
+                }
+            }
+        }
+        cur = next;
+    }
+    let best = null;
+    const offer = (str) => { if (best === null || str.length < best.length) best = str; };
+    for (let len = 1; len <= 9; len++) {
+        if (cur[0][len] !== null) offer(cur[0][len] + len + plain.slice(plain.length - len));
+        for (let off = 1; off <= 9; off++) if (cur[off][len] !== null) offer(cur[off][len] + len + off);
+    }
+    return best;
+}
+
+const shiftLetter = (ch, by) => ch >= "A" && ch <= "Z"
+    ? String.fromCharCode((((ch.charCodeAt(0) - 65 + by) % 26) + 26) % 26 + 65)
+    : ch;
+
+/** Caesar cipher with a left shift. */
+export function caesar(text, shift) {
+    return [...text].map(ch => shiftLetter(ch, -shift)).join("");
+}
+
+export function vigenere(text, key) {
+    return [...text].map((ch, i) => shiftLetter(ch, key.charCodeAt(i % key.length) - 65)).join("");
+}
+
+/** Integer nearest to the square root of a bigint. */
+export function squareRoot(data) {
+    const n = BigInt(data);
+    if (n < 2n) return n;
+    // integer Newton from above the root: a float first guess is off by far more than one step on 100+ digits
+    let x = 1n << BigInt((n.toString(2).length + 1) >> 1);
+    while (true) {
+        const y = (x + n / x) >> 1n;
+        if (y >= x) break;
+        x = y;
+    }
+    return n - x * x > (x + 1n) * (x + 1n) - n ? x + 1n : x;
+}
+
+/**
+ * Solve and submit the contract `file` on `host`.
+ * @returns {{type: string, status: "solved"|"failed"|"unsupported", reward: string}}
+ */
+export function solveContract(ns, host, file) {
+    const cc = ns.codingcontract;
+    const type = cc.getContractType(file, host);
+    const solver = SOLVERS[type];
+    if (!solver) return { type, status: "unsupported", reward: "" };
+    const answer = solver(cc.getData(file, host));
+    const reward = cc.attempt(answer, file, host);
+    return { type, status: reward ? "solved" : "failed", reward: reward ? String(reward) : "" };
+}
+
+/** @param {NS} ns */
+export async function main(ns) {
+    const [host, file] = ns.args.map(String);
+    if (!host || !file) {
+        ns.tprint("Usage: run contract-solver.js <server> <file.cct>");
+        return;
+    }
+    try {
+        const result = solveContract(ns, host, file);
+        if (result.status === "solved") ns.tprint(`contract-solver: ✅ ${file} on ${host} (${result.type}): ${result.reward}`);
+        else if (result.status === "failed") ns.tprint(`contract-solver: ❌ wrong answer for ${file} on ${host} (${result.type})`);
+        else ns.tprint(`contract-solver: no solver for "${result.type}" (${file} on ${host})`);
+    } catch (e) {
+        ns.tprint(`contract-solver error ${file} on ${host}: ${String(e)}`);
+    }
+}
@@ -0,0 +1,185 @@
+/** controller-lib.js
+ * Helpers shared by orchestrator.js and the deprecated controller-* wrappers:
+ * - scanAll: walk the network (rooting itself lives in rooting.js)
+ * - pickTargetsAndStrategy / assignTargets: one target plan for every managed host (target-eval.js), and a
+ *   deterministic, RAM-proportional host assignment from it
+ * - clearHost / deployHostBatcher / deploySmallWorker: stop and start a controller's own work on a host
+ *   (processes carry the controller's owner tag, see host-lease.js)
+ * - drainHostBatcher: retarget a running batcher without killing its in-flight jobs
+ * - startOrchestrator: launch orchestrator.js from an old controller entry point
+ */
+import { BATCH_FILES, requestDrain, ramReserve } from "batch-engine.js";
+import { optimizeHackPct } from "hack-optimizer.js";
+import { ownerTag, ownerOf, killOwned } from "host-lease.js";
+import { planTargets } from "target-eval.js";
+
+export const BATCHER_SCRIPT = "host-batcher-smart.js";
+export const SMALL_WORKER_SCRIPT = "worker-simple.js"; // hosts too small for a batcher
+export const ORCHESTRATOR_SCRIPT = "orchestrator.js";
+
+export function scanAll(ns) {
+    const seen = new Set(["home"]);
+    const stack = ["home"];
+    while (stack.length) {
+        const h = stack.pop();
+        for (const n of ns.scan(h)) {
+            if (!seen.has(n)) { seen.add(n); stack.push(n); }
+        }
+    }
+    return [...seen];
+}
+
+/**
+ * One target plan for `totalRam` GB of batch hosts, ranked by income per GB (target-eval.js).
+ * @returns {{primary: string|null, secondaries: string[], plan: object[]}}
+ */
+export function pickTargetsAndStrategy(ns, totalRam) {
+    return planTargets(ns, scanAll(ns), totalRam);
+}
+
+/**
+ * Deterministic host -> target assignment: hosts (largest first, then by name) are bin-packed onto the
+ * plan's targets in proportion to the RAM each target can absorb (plan[].allocatedGB).
+ * Hysteresis: a host keeps its current target while that target still wants RAM, and otherwise only moves
+ * when the new target would earn at least `moveGain` more on it than the old one.
+ * Batchers on hosts packed onto the same target share its landing slots and total hack% cap (batch-engine.js),
+ * so together they run one target's worth of batches, as the plan assumes.
+ * @param {NS} ns
+ * @param {string[]} hosts
+ * @param {{plan: {server: string, allocatedGB: number, incomePerGB: number}[]}} targets
+ * @param {Map<string, string>} current  host -> target it runs now
+ * @param {number} [moveGain]
+ * @param {(host: string) => number} [ramOf]  batch RAM a host brings (default its max RAM)
+ * @returns {Map<string, string>} host -> target (hosts are left out when the plan is empty)
+ */
+export function assignTargets(ns, hosts, targets, current, moveGain = 0.25, ramOf = (h) => ns.getServerMaxRam(h)) {
+    const assignment = new Map();
+    const plan = targets.plan || [];
+    if (plan.length === 0) return assignment;
+    const demand = new Map(plan.map(p => [p.server, p.allocatedGB]));
+    const perGB = new Map(plan.map(p => [p.server, p.incomePerGB]));
+    const ram = new Map(hosts.map(h => [h, ramOf(h)]));
+    const ordered = [...hosts].sort((a, b) => ram.get(b) - ram.get(a) || a.localeCompare(b));
+    const give = (host, target) => {
+        assignment.set(host, target);
+        demand.set(target, demand.get(target) - ram.get(host));
+    };
+
+    // sticky pass: stay put while the current target still has room
+    for (const host of ordered) {
+        const cur = current.get(host);
+        if (demand.has(cur) && demand.get(cur) > 0) give(host, cur);
+    }
+
+    // everyone else goes to the target with the most unmet demand (plan order breaks ties)
+    const usable = (host, target) => Math.min(ram.get(host), Math.max(0, demand.get(target))) * perGB.get(target);
+    for (const host of ordered) {
+        if (assignment.has(host)) continue;
+        let best = plan[0].server;
+        for (const p of plan) if (demand.get(p.server) > demand.get(best)) best = p.server;
+        const cur = current.get(host);
+        if (demand.has(cur) && cur !== best && usable(host, best) <= usable(host, cur) * (1 + moveGain)) best = cur;
+        give(host, best);
+    }
+    return assignment;
+}
+
+/**
+ * Clear a host of `owner`'s work before a redeploy: its batcher/worker and the jobs they launched.
+ * Anything else on the host (hand-started scripts, other controllers) keeps running.
+ */
+export function clearHost(ns, server, owner) {
+    return killOwned(ns, server, owner);
+}
+
+/**
+ * (Re)start host-batcher-smart.js on a host against `target` for `owner`, with the hack% the optimizer
+ * picks for the RAM left after the batcher. `reserve` (GB or "N%") is kept free on the host and handed to
+ * the batcher as --reserve. Returns the pid, 0 on failure.
+ */
+export async function deployHostBatcher(ns, server, target, owner, log = () => {}, reserve = "") {
+    try {
+        if (!target) {
+            log(`Skip deploy ${server}: no assigned target`);
+            return 0;
+        }
+        clearHost(ns, server, owner);
+        await ns.sleep(100);
+        if (server !== "home") await ns.scp(BATCH_FILES, server, "home");
+
+        const maxRam = ns.getServerMaxRam(server);
+        const freeRam = maxRam - ns.getServerUsedRam(server) - ramReserve(reserve, maxRam);
+        const batcherRam = ns.getScriptRam(BATCHER_SCRIPT);
+        if (freeRam < batcherRam) {
+            log(`Skip deploy ${server}: freeRam ${freeRam} < batcherRam ${batcherRam}`);
+            return 0;
+        }
+
+        const plan = batcherPlan(ns, server, target, freeRam - batcherRam);
+        const hackPct = Number(plan.hackPct.toFixed(4));
+
+        const flags = reserve ? [`--reserve=${reserve}`] : [];
+        const pid = ns.exec(BATCHER_SCRIPT, server, 1, target, hackPct, ...flags, ownerTag(owner));
+        if (!pid) {
+            log(`❌ Exec ${BATCHER_SCRIPT} failed on ${server}`);
+            return 0;
+        }
+        log(`🚀 ${server} -> ${target} (hack% ${hackPct}, x${plan.concurrency}, ~$${Math.round(plan.incomePerSec)}/s) pid=${pid}`);
+        return pid;
+    } catch (e) {
+        log(`deployHostBatcher error ${server}: ${e && e.message ? e.message : e}`);
+        return 0;
+    }
+}
+
+/**
+ * Retarget the batcher `pid` on `server` gracefully: it stops scheduling, lets its in-flight batches land on
+ * the old target and then restarts itself against `target` (host-batcher-smart.js). The hack% is sized for
+ * the RAM the host will have once `owner`'s current work there is gone (less `reserve`). Returns the new hack%.
+ */
+export function drainHostBatcher(ns, server, pid, target, owner, log = () => {}, reserve = "") {
+    const ownedRam = ns.ps(server)
+        .filter(p => ownerOf(p) === owner)
+        .reduce((sum, p) => sum + ns.getScriptRam(p.filename, server) * p.threads, 0);
+    const maxRam = ns.getServerMaxRam(server);
+    const freeRam = maxRam - ns.getServerUsedRam(server) + ownedRam - ramReserve(reserve, maxRam) - ns.getScriptRam(BATCHER_SCRIPT);
+    const hackPct = Number(batcherPlan(ns, server, target, freeRam).hackPct.toFixed(4));
+    requestDrain(ns, pid, { target, hackPct });
+    log(`🫗 ${server}: draining pid ${pid}, then -> ${target} (hack% ${hackPct})`);
+    return hackPct;
+}
+
+// hack% that maximizes $/sec on `server` for `ram` GB of job RAM
+function batcherPlan(ns, server, target, ram) {
+    const cores = Math.max(1, ns.getServer(server).cpuCores || 1);
+    return optimizeHackPct(ns, target, Math.max(0, ram) * 0.99, { cores });
+}
+
+/** Fill a host too small for a batcher with worker-simple.js threads. Returns the pid, 0 on failure. */
+export async function deploySmallWorker(ns, server, target, owner, log = () => {}) {
+    const ram = ns.getScriptRam(SMALL_WORKER_SCRIPT);
+    const freeRam = ns.getServerMaxRam(server) - ns.getServerUsedRam(server);
+    if (!target || freeRam < ram) return 0;
+    await ns.scp(SMALL_WORKER_SCRIPT, server, "home");
+    const threads = Math.max(1, Math.floor(freeRam / ram));
+    const pid = ns.exec(SMALL_WORKER_SCRIPT, server, threads, target, ownerTag(owner));
+    if (pid) log(`🟢 worker ${server} (${threads}t) -> ${target}`);
+    return pid;
+}
+
+/**
+ * Entry point for the deprecated controllers: start orchestrator.js on home with `switches`
+ * (plus the caller's own args), unless one is already running.
+ */
+export function startOrchestrator(ns, caller, switches) {
+    const running = ns.ps("home").find(p => p.filename === ORCHESTRATOR_SCRIPT);
+    if (running) {
+        ns.tprint(`${caller} is deprecated: ${ORCHESTRATOR_SCRIPT} already runs (pid ${running.pid}, args ${running.args.join(" ") || "-"}), not starting another`);
+        return 0;
+    }
+    const args = [...switches, ...ns.args.map(String).filter(a => !switches.includes(a))];
+    const pid = ns.exec(ORCHESTRATOR_SCRIPT, "home", 1, ...args);
+    if (pid) ns.tprint(`${caller} is deprecated -> started ${ORCHESTRATOR_SCRIPT} ${args.join(" ")} (pid ${pid})`);
+    else ns.tprint(`${caller} is deprecated, and starting ${ORCHESTRATOR_SCRIPT} on home failed (not enough RAM?)`);
+    return pid;
+}
@@ -0,0 +1,99 @@
+/** hack-optimizer.js
+ * Picks the per-batch hack fraction that maximizes expected $/sec for one target on a RAM budget.
+ *
+ * Batches are modelled the way batch-engine.js runs them:
+ *  - HWGW thread counts from hackAnalyzeSecurity / growth / weakenAnalyze with the host's cores, grow with
+ *    the engine's LEVEL_HEADROOM
+ *  - every job holds its RAM for about one weaken time (jobs start at once and wait via additionalMsec)
+ *  - at most weakenTime / BATCH_SLOT_MS batches in flight, and the hacks that can succeed together (binomial
+ *    quantile at `confidence`) capped at maxTotalHackPct
+ *  - income weighted by hack chance
+ * With Formulas.exe the target is evaluated as if prepped (min security, max money); without it the live
+ * server is used, which is exact once the target has been prepped.
+ */
+import { BATCH_DELTA, BATCH_BUFFER, BATCH_SLOT_MS, MAX_BATCH_HACK_PCT, DEFAULT_CONFIDENCE, LEVEL_HEADROOM, maxConcurrentByHackPct } from "batch-engine.js";
+
+/**
+ * @param {NS} ns
+ * @param {string} target
+ * @param {number} ramBudget  GB the target's batches may use
+ * @param {{cores?: number, maxTotalHackPct?: number, confidence?: number}} [opts]
+ * @returns {{hackPct: number, hackThreads: number, growThreads: number, weakenThreads: number, ramPerBatch: number,
+ *            concurrency: number, incomePerSec: number, chance: number, formulas: boolean}}
+ */
+export function optimizeHackPct(ns, target, ramBudget, opts = {}) {
+    const cores = Math.max(1, opts.cores || 1);
+    const maxTotal = opts.maxTotalHackPct || 0.20; // same default as the batcher's cap
+    const confidence = opts.confidence || DEFAULT_CONFIDENCE;
+    const model = targetModel(ns, target, cores);
+    const perHack = Math.max(1e-12, model.perHack);
+    const weakenPerThread = Math.max(1e-9, ns.weakenAnalyze(1, cores));
+    const ramHack = ns.getScriptRam("hack.js");
+    const ramGrow = ns.getScriptRam("grow.js");
+    const ramWeaken = ns.getScriptRam("weaken.js");
+    const maxBySlots = Math.max(1, Math.floor(model.weakenTime / BATCH_SLOT_MS));
+    const cycleSec = (model.weakenTime + BATCH_BUFFER + 3 * BATCH_DELTA) / 1000;
+
+    const evaluate = (hackThreads) => {
+        const hackPct = Math.min(0.999, hackThreads * perHack);
+        const growThreads = Math.max(1, model.growThreads(Math.min(0.999, hackPct * (1 + LEVEL_HEADROOM))));
+        const w1 = Math.max(1, Math.ceil(ns.hackAnalyzeSecurity(hackThreads) / weakenPerThread));
+        const w2 = Math.max(1, Math.ceil(ns.growthAnalyzeSecurity(growThreads, undefined, cores) / weakenPerThread));
+        const ramPerBatch = hackThreads * ramHack + growThreads * ramGrow + (w1 + w2) * ramWeaken;
+        const byRam = Math.min(Math.floor(ramBudget / ramPerBatch), maxBySlots);
+        const concurrency = byRam > 0 ? maxConcurrentByHackPct(byRam, hackPct, model.chance, maxTotal, confidence) : 0;
+        const incomePerSec = concurrency > 0 ? concurrency * hackPct * model.maxMoney * model.chance / cycleSec : 0;
+        return { hackPct, hackThreads, growThreads, weakenThreads: w1 + w2, ramPerBatch, concurrency, incomePerSec, chance: model.chance, formulas: model.formulas };
+    };
+
+    // coarse geometric sweep over hack threads, then a linear pass around the best one
+    const maxThreads = Math.max(1, Math.floor(MAX_BATCH_HACK_PCT / perHack));
+    const sweep = [];
+    for (let t = 1; t <= maxThreads; t = Math.max(t + 1, Math.floor(t * 1.2))) sweep.push(t);
+    if (sweep[sweep.length - 1] !== maxThreads) sweep.push(maxThreads);
+
+    let bestIdx = 0;
+    let best = evaluate(sweep[0]);
+    for (let i = 1; i < sweep.length; i++) {
+        const r = evaluate(sweep[i]);
+        if (r.incomePerSec > best.incomePerSec) { best = r; bestIdx = i; }
+    }
+    const lo = sweep[Math.max(0, bestIdx - 1)];
+    const hi = sweep[Math.min(sweep.length - 1, bestIdx + 1)];
+    for (let t = lo + 1; t < hi; t++) {
+        const r = evaluate(t);
+        if (r.incomePerSec > best.incomePerSec) best = r;
+    }
+    return best;
+}
+
+// per-thread hack %, chance, weaken time and a grow-thread estimator for the prepped target
+function targetModel(ns, target, cores) {
+    try {
+        if (ns.fileExists("Formulas.exe", "home")) {
+            const f = ns.formulas.hacking;
+            const player = ns.getPlayer();
+            const server = ns.getServer(target);
+            server.hackDifficulty = server.minDifficulty;
+            server.moneyAvailable = server.moneyMax;
+            return {
+                formulas: true,
+                maxMoney: server.moneyMax,
+                perHack: f.hackPercent(server, player),
+                chance: f.hackChance(server, player),
+                weakenTime: f.weakenTime(server, player),
+                growThreads: (hackPct) => Math.ceil(f.growThreads({ ...server, moneyAvailable: Math.max(1, server.moneyMax * (1 - hackPct)) }, player, server.moneyMax, cores)),
+            };
+        }
+    } catch (_) {
+        // fall through to the live-server model
+    }
+    return {
+        formulas: false,
+        maxMoney: ns.getServerMaxMoney(target),
+        perHack: ns.hackAnalyze(target),
+        chance: ns.hackAnalyzeChance(target),
+        weakenTime: ns.getWeakenTime(target),
+        growThreads: (hackPct) => Math.ceil(ns.growthAnalyze(target, 1 / (1 - hackPct), cores)),
+    };
+}
@@ -1,7 +1,18 @@
-/** @param {NS} ns */
+/** @param {NS} ns
+ *  args: target [additionalMsec] [reportPort batchId plannedEnd] [stock] [--owner=name]
+ *  The owner tag is not read here; it marks which controller may kill the job (see host-lease.js).
+ *  The delay goes into the action as additionalMsec, so its duration is fixed the moment the job starts
+ *  and lag or a hacking level-up afterwards cannot shift the landing time.
+ *  stock=true lets the hack move the target company's stock price.
+ *  With a report port, writes { batch, action, target, pid, result, plannedEnd, end } there when done (see batch-reports.js).
+ */
 export async function main(ns) {
     const target = ns.args[0];
-    const delay = Math.max(0, Number(ns.args[1]) || 0);
-    if (delay > 0) await ns.sleep(delay);
-    await ns.hack(target);
+    const delay = Math.max(0, Math.round(Number(ns.args[1]) || 0));
+    const port = Number(ns.args[2]) || 0;
+    const stock = ns.args[5] === true || ns.args[5] === "true";
+    const result = await ns.hack(target, { additionalMsec: delay, stock });
+    if (port > 0) {
+        ns.writePort(port, JSON.stringify({ batch: ns.args[3], action: "hack", target, pid: ns.pid, result, plannedEnd: Number(ns.args[4]) || 0, end: Date.now() }));
+    }
 }
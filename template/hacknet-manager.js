@@ -11,7 +11,12 @@
  *  - Computes payback time = cost / deltaProdPerSec
  *  - Prefers fastest payback; skips absurd payback by default
  *  - Default quiet mode (no tprint spam). Use --verbose to enable logs.
+ *  - Spends through the shared allocator (budget.js): posts its fastest-payback option as a bid and
+ *    only spends what the allocator allows (reserve, savings goal, faster-paying pserv bids)
+ *  - Keeps its spending history (totals per upgrade type, last purchases) in state-store.js across restarts
  */
+import { submitBid, allowance } from "budget.js";
+import { loadState, saveState } from "state-store.js";
 
 export async function main(ns) {
     ns.disableLog("sleep");
@@ -31,14 +36,14 @@ export async function main(ns) {
     // ---------- CONFIG ----------
     const CFG = {
         SLEEP_MS: 30 * 1000,
-        RESERVED_CASH_PCT: 0.20,
-        BUDGET_RATIO: 0.70,
+        MIN_BUDGET: 1e6, // don't bother below this
         MAX_ACTIONS_PER_CYCLE: 6,
         TARGET_NODE_COUNT: 24,
         MAX_NODE_LEVEL_UP_AT_ONCE: 10,
         MAX_NODE_RAM_UP_AT_ONCE: 4,
         MAX_NODE_CORE_UP_AT_ONCE: 4,
         MAX_PAYBACK_SECONDS: 30 * 24 * 3600, // 30 days
+        HISTORY_LENGTH: 20, // recent purchases kept in the state file
     };
 
     if (AGGRESSIVE) {
@@ -71,20 +76,20 @@ export async function main(ns) {
         return `${(Math.round(n * 100) / 100)}${units[Math.max(0,unit)]}`;
     }
 
+    // spending history, persisted so a restart picks up where it left off
+    const history = loadState(ns, "hacknet", { spent: 0, counts: { purchase: 0, level: 0, ram: 0, core: 0 }, recent: [] });
+    function record(type, count, cost, desc) {
+        history.spent += cost;
+        history.counts[type] = (history.counts[type] || 0) + count;
+        history.recent.push({ at: Date.now(), desc, cost });
+        history.recent = history.recent.slice(-CFG.HISTORY_LENGTH);
+    }
+
     if (!QUIET) ns.tprint("🔧 hacknet-manager-silent started", VERBOSE ? "(verbose)" : "(silent)");
+    if (history.spent > 0) vlog(`Resumed history: spent ${fmtMoney(history.spent)} (${Object.entries(history.counts).map(([k, v]) => `${k} ${v}`).join(", ")})`);
 
     while (true) {
         try {
-            const homeMoney = ns.getServerMoneyAvailable("home");
-            const reserved = homeMoney * CFG.RESERVED_CASH_PCT;
-            let budget = Math.max(0, (homeMoney - reserved) * CFG.BUDGET_RATIO);
-
-            if (budget < 1e6) {
-                vlog("Budget too small:", fmtMoney(budget), "— sleeping");
-                await ns.sleep(CFG.SLEEP_MS);
-                continue;
-            }
-
             let actions = 0;
             const nodeCount = ns.hacknet.numNodes();
             const purchaseCost = ns.hacknet.getPurchaseNodeCost();
@@ -166,6 +171,16 @@ export async function main(ns) {
                 }
             }
 
+            // bid our best option; the allocator decides how much of the shared cash we get
+            const best = viable[0];
+            submitBid(ns, "hacknet", best ? { cost: best.cost, paybackSec: best.paybackSec, desc: best.desc } : null);
+            let budget = allowance(ns, "hacknet");
+            if (budget < CFG.MIN_BUDGET) {
+                vlog("Budget too small:", fmtMoney(budget), "— sleeping");
+                await ns.sleep(CFG.SLEEP_MS);
+                continue;
+            }
+
             vlog("Candidates:", viable.length, "budget", fmtMoney(budget));
 
             // execute up to actions limit
@@ -181,6 +196,7 @@ export async function main(ns) {
                     const id = ns.hacknet.purchaseNode();
                     if (id !== -1) {
                         tlog(`🟢 Purchased node #${id} (cost ${fmtMoney(opt.cost)}, payback ${fmtTimeSec(opt.paybackSec)})`);
+                        record("purchase", 1, opt.cost, `purchase node #${id}`);
                         budget -= opt.cost;
                         actions++;
                     } else {
@@ -190,55 +206,68 @@ export async function main(ns) {
                 }
 
                 if (opt.type === "level") {
-                    let applied = 0;
+                    let applied = 0, spent = 0;
                     for (let k = 0; k < CFG.MAX_NODE_LEVEL_UP_AT_ONCE; k++) {
                         const cost = ns.hacknet.getLevelUpgradeCost(opt.node, 1);
                         if (cost <= 0 || cost > budget) break;
                         const ok = ns.hacknet.upgradeLevel(opt.node, 1);
                         if (!ok) break;
                         budget -= cost;
+                        spent += cost;
                         applied++;
                         actions++;
                         if (actions >= CFG.MAX_ACTIONS_PER_CYCLE) break;
                     }
-                    if (applied > 0) tlog(`⬆️ Level +${applied} node ${opt.node} (spent ≈ ${fmtMoney(applied * opt.cost)})`);
+                    if (applied > 0) {
+                        tlog(`⬆️ Level +${applied} node ${opt.node} (spent ≈ ${fmtMoney(applied * opt.cost)})`);
+                        record("level", applied, spent, `level +${applied} node ${opt.node}`);
+                    }
                     continue;
                 }
 
                 if (opt.type === "ram") {
-                    let applied = 0;
+                    let applied = 0, spent = 0;
                     for (let k = 0; k < CFG.MAX_NODE_RAM_UP_AT_ONCE; k++) {
                         const cost = ns.hacknet.getRamUpgradeCost(opt.node, 1);
                         if (cost <= 0 || cost > budget) break;
                         const ok = ns.hacknet.upgradeRam(opt.node, 1);
                         if (!ok) break;
                         budget -= cost;
+                        spent += cost;
                         applied++;
                         actions++;
                         if (actions >= CFG.MAX_ACTIONS_PER_CYCLE) break;
                     }
-                    if (applied > 0) tlog(`⬆️ RAM x${applied} applied on node ${opt.node} (spent ≈ ${fmtMoney(applied * opt.cost)})`);
+                    if (applied > 0) {
+                        tlog(`⬆️ RAM x${applied} applied on node ${opt.node} (spent ≈ ${fmtMoney(applied * opt.cost)})`);
+                        record("ram", applied, spent, `ram +${applied} node ${opt.node}`);
+                    }
                     continue;
                 }
 
                 if (opt.type === "core") {
-                    let applied = 0;
+                    let applied = 0, spent = 0;
                     for (let k = 0; k < CFG.MAX_NODE_CORE_UP_AT_ONCE; k++) {
                         const cost = ns.hacknet.getCoreUpgradeCost(opt.node, 1);
                         if (cost <= 0 || cost > budget) break;
                         const ok = ns.hacknet.upgradeCore(opt.node, 1);
                         if (!ok) break;
                         budget -= cost;
+                        spent += cost;
                         applied++;
                         actions++;
                         if (actions >= CFG.MAX_ACTIONS_PER_CYCLE) break;
                     }
-                    if (applied > 0) tlog(`🔥 Core +${applied} on node ${opt.node} (spent ≈ ${fmtMoney(applied * opt.cost)})`);
+                    if (applied > 0) {
+                        tlog(`🔥 Core +${applied} on node ${opt.node} (spent ≈ ${fmtMoney(applied * opt.cost)})`);
+                        record("core", applied, spent, `core +${applied} node ${opt.node}`);
+                    }
                     continue;
                 }
             }
 
-            if (!QUIET) info(`Cycle done. Nodes=${nodeCount}, actions=${actions}, remaining budget=${fmtMoney(budget)}`);
+            if (actions > 0) saveState(ns, "hacknet", history);
+            if (!QUIET) info(`Cycle done. Nodes=${nodeCount}, actions=${actions}, remaining budget=${fmtMoney(budget)}, spent so far ${fmtMoney(history.spent)}`);
             await ns.sleep(CFG.SLEEP_MS);
         } catch (e) {
             ns.tprint("ERROR hacknet-manager-silent:", String(e));
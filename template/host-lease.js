@@ -0,0 +1,81 @@
+/** host-lease.js
+ * Process ownership and host leases, so controllers only ever touch their own work.
+ *
+ * - Every process a BitFer controller starts carries an owner tag as its last arg ("--owner=orchestrator").
+ *   Batchers pass their tag on to the H/G/W jobs they launch, so a redeploy can stop a batcher and its
+ *   in-flight jobs with killOwned() while leaving hand-started scripts (share, contract solvers...) alone.
+ * - A controller leases each host it manages (LEASE_PORT: host -> { owner, pid, since }). A lease held by
+ *   a live pid of another owner means hands off; a lease whose pid is gone can be taken over.
+ */
+import { LEASE_PORT, readPortJson, writePortJson } from "ports.js";
+
+const OWNER_PREFIX = "--owner=";
+
+/** The arg that marks a process as started by `owner`. */
+export function ownerTag(owner) {
+    return OWNER_PREFIX + owner;
+}
+
+/** Owner named in a process's args (from ns.ps), or null for untagged processes. */
+export function ownerOf(proc) {
+    const tag = (proc.args || []).map(String).find(a => a.startsWith(OWNER_PREFIX));
+    return tag ? tag.slice(OWNER_PREFIX.length) : null;
+}
+
+/** Owner tag from a script's own args, for scripts that pass it on to what they launch. */
+export function ownerFromArgs(args) {
+    return ownerOf({ args });
+}
+
+/** Kill the processes on `host` tagged with `owner`; returns how many were killed. */
+export function killOwned(ns, host, owner) {
+    let killed = 0;
+    for (const p of ns.ps(host)) {
+        if (ownerOf(p) === owner && p.pid !== ns.pid && ns.kill(p.pid)) killed++;
+    }
+    return killed;
+}
+
+/** The live lease on `host`, or null when it is free or its holder has died. */
+export function leaseHolder(ns, host) {
+    const lease = readPortJson(ns, LEASE_PORT)[host];
+    return lease && ns.isRunning(lease.pid) ? lease : null;
+}
+
+/**
+ * Lease `host` for `owner` (this process). Returns null on success (or when we already hold it),
+ * otherwise the foreign lease that blocks us.
+ */
+export function acquireLease(ns, host, owner) {
+    const leases = readPortJson(ns, LEASE_PORT);
+    const cur = leases[host];
+    if (cur && cur.pid === ns.pid) return null;
+    if (cur && cur.owner !== owner && ns.isRunning(cur.pid)) return cur;
+    leases[host] = { owner, pid: ns.pid, since: Date.now() };
+    writePortJson(ns, LEASE_PORT, leases);
+    return null;
+}
+
+/** Drop this process's lease on one host. */
+export function releaseLease(ns, host) {
+    const leases = readPortJson(ns, LEASE_PORT);
+    if (leases[host] && leases[host].pid === ns.pid) {
+        delete leases[host];
+        writePortJson(ns, LEASE_PORT, leases);
+    }
+}
+
+/** Drop every lease this process holds (call from ns.atExit). */
+export function releaseAllLeases(ns) {
+    const leases = readPortJson(ns, LEASE_PORT);
+    let changed = false;
+    for (const [host, lease] of Object.entries(leases)) {
+        if (lease.pid === ns.pid) { delete leases[host]; changed = true; }
+    }
+    if (changed) writePortJson(ns, LEASE_PORT, leases);
+}
+
+/** All leases, with a `live` flag per host. */
+export function listLeases(ns) {
+    return Object.entries(readPortJson(ns, LEASE_PORT)).map(([host, lease]) => ({ host, ...lease, live: ns.isRunning(lease.pid) }));
+}
@@ -0,0 +1,85 @@
+/** network-map.js
+ * The network as a tree rooted at home, with the facts the other scripts ask about per host:
+ * { parent, depth, ports, maxRam, maxMoney, requiredLevel, rooted, backdoor, purchased }.
+ *
+ * - buildNetworkMap() walks breadth-first, so each host's parent is on a shortest path from home
+ * - writeNetworkMap() stores the tree in MAP_FILE on home for other scripts (and humans) to read
+ * - routeTo() / connectCommands() give the hop list from home and the matching terminal commands
+ *
+ * Usage: run network-map.js           rebuild MAP_FILE and print the tree
+ *        run network-map.js <host>    print the route and the connect chain to <host>
+ */
+
+export const MAP_FILE = "/bitfer/network.json";
+
+/** host -> { parent, depth, ports, maxRam, maxMoney, requiredLevel, rooted, backdoor, purchased } */
+export function buildNetworkMap(ns) {
+    const map = {};
+    const queue = [["home", null, 0]];
+    while (queue.length) {
+        const [host, parent, depth] = queue.shift();
+        if (map[host]) continue;
+        const s = ns.getServer(host);
+        map[host] = {
+            parent,
+            depth,
+            ports: s.numOpenPortsRequired ?? 0,
+            maxRam: s.maxRam,
+            maxMoney: s.moneyMax ?? 0,
+            requiredLevel: s.requiredHackingSkill ?? 0,
+            rooted: s.hasAdminRights,
+            backdoor: !!s.backdoorInstalled,
+            purchased: !!s.purchasedByPlayer && host !== "home",
+        };
+        for (const n of ns.scan(host)) if (!map[n]) queue.push([n, host, depth + 1]);
+    }
+    return map;
+}
+
+/** Build the map and store it in MAP_FILE; returns the map. */
+export function writeNetworkMap(ns) {
+    const map = buildNetworkMap(ns);
+    ns.write(MAP_FILE, JSON.stringify({ at: Date.now(), hosts: map }, null, 2), "w");
+    return map;
+}
+
+/** Hosts from home to `host` (both included), or null when `host` is not in the map. */
+export function routeTo(map, host) {
+    if (!map[host]) return null;
+    const route = [];
+    for (let h = host; h !== null; h = map[h].parent) route.unshift(h);
+    return route;
+}
+
+/** Terminal commands that walk `route` from home, e.g. "home; connect foodnstuff; connect CSEC". */
+export function connectCommands(route) {
+    return ["home", ...route.slice(1).map(h => `connect ${h}`)].join("; ");
+}
+
+/** @param {NS} ns */
+export async function main(ns) {
+    const map = writeNetworkMap(ns);
+    const host = ns.args[0] !== undefined ? String(ns.args[0]) : null;
+    if (host) {
+        const route = routeTo(map, host);
+        if (!route) {
+            ns.tprint(`network-map: ${host} is not reachable from home`);
+            return;
+        }
+        ns.tprint(`\n${route.join(" -> ")} (${route.length - 1} hops)\n${connectCommands(route)}`);
+        return;
+    }
+
+    const fmt = (v) => typeof ns.formatNumber === "function" ? ns.formatNumber(v) : String(Math.round(v));
+    const lines = ["", `network map: ${Object.keys(map).length} hosts -> ${MAP_FILE}`];
+    const children = {};
+    for (const [h, info] of Object.entries(map)) if (info.parent !== null) (children[info.parent] ||= []).push(h);
+    const walk = (h) => {
+        const i = map[h];
+        const flags = [i.rooted ? "root" : `${i.ports}p`, i.backdoor ? "bd" : "", i.purchased ? "pserv" : ""].filter(Boolean).join(",");
+        lines.push(`${"  ".repeat(i.depth)}${h} [${flags}] lvl ${i.requiredLevel}, ${i.maxRam}GB, $${fmt(i.maxMoney)}`);
+        for (const c of (children[h] || []).sort()) walk(c);
+    };
+    walk("home");
+    ns.tprint(lines.join("\n"));
+}
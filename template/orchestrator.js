@@ -0,0 +1,278 @@
+/** orchestrator.js
+ * One daemon that owns the network, replacing controller-smart / controller-purchased / controller-rooted
+ * (which now only start this script with matching switches):
+ * - roots what the port openers allow and logs what still blocks the rest (rooting.js)
+ * - picks one target plan (primary + secondaries) sized to the managed hosts' RAM and bin-packs the hosts onto
+ *   it deterministically; a host only switches target when the gain clears MOVE_GAIN (controller-lib.js)
+ * - buys purchased servers and upgrades them in place, jumping to the largest affordable RAM (pserv.js);
+ *   cash comes from the shared allocator (budget.js), bidding the payback of the $/sec the extra RAM adds to the plan
+ * - deploys host-batcher-smart.js on purchased, rooted and home hosts; worker-simple.js on tiny rooted hosts.
+ *   Home keeps --home-reserve free for contract solvers and manual scripts, and its cores cut grow/weaken threads
+ * - retargets a batcher by draining it (controller-lib.js drainHostBatcher): the host stays "draining" until its
+ *   in-flight batches have landed and the batcher has restarted on the new target, so the old target is never
+ *   left half-hacked; a drain still running after 2x the old target's weaken time plus DRAIN_GRACE_MS is cut
+ *   short with a kill
+ * - leases every host it manages and tags what it starts with --owner=orchestrator (host-lease.js): redeploys
+ *   kill only its own processes, and hosts leased by another live controller are left alone
+ * - keeps its cooldowns and drains in state-store.js, so a restart (crash, reload, augment install) resumes them
+ *
+ * Usage: run orchestrator.js [--no-buy] [--no-root] [--no-deploy] [--no-purchased] [--no-rooted] [--no-home] [--home-reserve=GB|N%] [--verbose|--silent]
+ *   --no-buy: never buy or upgrade purchased servers
+ *   --no-root: never run port openers / nuke
+ *   --no-deploy: never start or restart batchers/workers
+ *   --no-purchased / --no-rooted: leave those hosts alone when deploying
+ *   --no-home: keep batchers off home
+ *   --home-reserve=GB|N%: home RAM never used for batching, in GB or as a share of home's RAM (default 32)
+ * Default: quiet.
+ */
+import {
+    BATCHER_SCRIPT, SMALL_WORKER_SCRIPT, ORCHESTRATOR_SCRIPT,
+    scanAll, pickTargetsAndStrategy, assignTargets, clearHost, deployHostBatcher, deploySmallWorker, drainHostBatcher,
+} from "controller-lib.js";
+import { ramReserve, DEFAULT_HOME_RESERVE } from "batch-engine.js";
+import { acquireLease, releaseAllLeases, leaseHolder, ownerOf } from "host-lease.js";
+import { planPurchase, executePurchase } from "pserv.js";
+import { spendable, submitBid, allowance } from "budget.js";
+import { loadState, saveState } from "state-store.js";
+import { rootServers, rootingReport } from "rooting.js";
+
+/** @param {NS} ns */
+export async function main(ns) {
+    ns.disableLog("sleep");
+    ns.disableLog("scan");
+    // ---- FLAGS ----
+    const args = ns.args.map(String);
+    let QUIET = true;
+    if (args.includes("--verbose")) QUIET = false;
+    if (args.includes("--silent")) QUIET = true;
+    const BUY = !args.includes("--no-buy");
+    const ROOT = !args.includes("--no-root");
+    const DEPLOY = !args.includes("--no-deploy");
+    const USE_PURCHASED = !args.includes("--no-purchased");
+    const USE_ROOTED = !args.includes("--no-rooted");
+    const USE_HOME = !args.includes("--no-home");
+    const reserveArg = args.find(a => a.startsWith("--home-reserve="));
+    const HOME_RESERVE = reserveArg ? reserveArg.split("=")[1] : DEFAULT_HOME_RESERVE;
+
+    const log = (...m) => { if (!QUIET) ns.tprint(m.join(" ")); };
+
+    // ---- CONFIG ----
+    const LOOP_MS = 5000;
+    const BUY_COOLDOWN = 10 * 60 * 1000; // global cooldown between purchases
+    const PER_SERVER_COOLDOWN = 2 * 60 * 1000; // per-server redeploy cooldown
+    const DEPLOY_STAGGER_MS = 250;
+    const MIN_RAM_TO_BATCH = 8;     // smaller hosts get worker-simple.js instead of a batcher
+    const OWNER = "orchestrator";   // owner tag on everything we start, and the name on our leases
+    const MOVE_GAIN = 0.25;         // a host changes target only for >= 25% more income on it
+    const DRAIN_GRACE_MS = 60 * 1000; // a drain gets 2x the old target's weaken time plus this before we kill it
+
+    const other = ns.ps("home").find(p => p.filename === ORCHESTRATOR_SCRIPT && p.pid !== ns.pid);
+    if (other) {
+        ns.tprint(`orchestrator: already running (pid ${other.pid}) -> exit`);
+        return;
+    }
+
+    // ---- STATE ----
+    const saved = loadState(ns, OWNER, { lastGlobalBuy: 0, serverLastDeploy: {}, draining: {} });
+    let lastGlobalBuy = saved.lastGlobalBuy;
+    let lastPlan = "";
+    let lastRooting = "";
+    const serverLastDeploy = saved.serverLastDeploy;
+    const draining = new Map(Object.entries(saved.draining)); // host -> { pid, from, to, since, timeout } while its batcher drains
+    const blocked = new Set(); // hosts we already reported as leased by someone else
+
+    ns.atExit(() => releaseAllLeases(ns));
+
+    ns.tprint(`orchestrator started: buy=${BUY} root=${ROOT} deploy=${DEPLOY} purchased=${USE_PURCHASED} rooted=${USE_ROOTED} home=${USE_HOME ? `yes, reserve ${HOME_RESERVE}` : "no"} (quiet=${QUIET})`);
+    if (lastGlobalBuy || draining.size) {
+        log(`Resumed state: last buy ${lastGlobalBuy ? Math.round((Date.now() - lastGlobalBuy) / 1000) + "s ago" : "never"}, ${Object.keys(serverLastDeploy).length} host cooldowns, ${draining.size} drains`);
+    }
+
+    while (true) {
+        try {
+            const all = scanAll(ns);
+            if (ROOT) rootHosts(all);
+
+            const purchased = ns.getPurchasedServers();
+            const candidates = [];
+            if (USE_PURCHASED) candidates.push(...purchased);
+            if (USE_ROOTED) candidates.push(...all.filter(s => s !== "home" && !purchased.includes(s) && ns.hasRootAccess(s)));
+            if (USE_HOME) candidates.push("home");
+            const hosts = candidates.filter(h => hostRam(h) >= 2 && !foreignLease(h));
+
+            const batchRam = hosts.reduce((sum, h) => sum + hostRam(h), 0);
+            const targets = pickTargetsAndStrategy(ns, batchRam);
+            const planKey = JSON.stringify([targets.primary, targets.secondaries]);
+            if (planKey !== lastPlan) {
+                log(`Targets for ${Math.round(batchRam)}GB: primary=${targets.primary} ` +
+                    targets.plan.map(p => `${p.server}:${Math.round(p.allocatedGB)}GB@$${p.incomePerGB.toFixed(1)}/s/GB`).join(", "));
+                lastPlan = planKey;
+            }
+
+            if (BUY) await buyServers(targets, batchRam);
+
+            if (DEPLOY) {
+                updateDrains();
+                const assignment = assignTargets(ns, hosts, targets, currentTargets(hosts), MOVE_GAIN, hostRam);
+                for (const host of hosts) {
+                    await manageHost(host, assignment.get(host));
+                    await ns.sleep(20); // tiny yield
+                }
+            }
+
+            saveState(ns, OWNER, { lastGlobalBuy, serverLastDeploy, draining: Object.fromEntries(draining) });
+            await ns.sleep(LOOP_MS);
+        } catch (e) {
+            ns.tprint("orchestrator error: " + String(e));
+            await ns.sleep(LOOP_MS);
+        }
+    }
+
+    // bid every round so the allocator always sees our payback; one purchase per BUY_COOLDOWN:
+    // a new server while slots are free, else the smallest one upgraded in place
+    async function buyServers(targets, batchRam) {
+        if (!postBid(targets, batchRam)) return;
+        if (Date.now() - lastGlobalBuy < BUY_COOLDOWN) return;
+        const plan = planPurchase(ns, allowance(ns, "pserv"));
+        if (!plan) return;
+        if (plan.action === "upgrade" && !leaseHost(plan.name)) return;
+        if (!executePurchase(ns, plan)) {
+            log(`❌ ${plan.action} ${plan.name} @ ${plan.ram}GB failed`);
+            return;
+        }
+        lastGlobalBuy = Date.now();
+        // the posted bid priced what we just bought; replace it with the next purchase
+        const grownRam = batchRam + plan.ram - (plan.from || 0);
+        postBid(pickTargetsAndStrategy(ns, grownRam), grownRam);
+        if (plan.action === "buy") {
+            leaseHost(plan.name);
+            log(`🆕 Buy ${plan.name} @ ${plan.ram}GB (cost $${Math.round(plan.cost)}), gets a target next round`);
+        } else {
+            // the running batcher sees the extra RAM on its next wave; nothing to redeploy
+            log(`⬆️ Upgrade ${plan.name} ${plan.from}GB -> ${plan.ram}GB in place (cost $${Math.round(plan.cost)})`);
+        }
+    }
+
+    // bid the purchase all spendable cash would buy (or withdraw when nothing pays); true when there is a bid
+    function postBid(targets, batchRam) {
+        const wanted = planPurchase(ns, spendable(ns));
+        const gain = wanted ? extraRamIncome(wanted, targets, batchRam) : 0;
+        submitBid(ns, "pserv", gain > 0 ? { cost: wanted.cost, paybackSec: wanted.cost / gain, desc: `${wanted.action} ${wanted.name} -> ${wanted.ram}GB` } : null);
+        return gain > 0;
+    }
+
+    // root what we can; report what still blocks the rest whenever that changes
+    function rootHosts(all) {
+        for (const s of rootServers(ns, all)) log(`🔓 Rooted ${s}`);
+        const report = rootingReport(ns, all);
+        const missing = [...new Set(report.blocked.flatMap(s => s.missing))];
+        const key = `${report.rooted.length}/${report.blocked.length}/${report.waitingOnLevel.length}`;
+        if (key === lastRooting) return;
+        lastRooting = key;
+        log(`Rooting: ${report.rooted.length} rooted (${report.waitingOnLevel.length} above our hacking level), ` +
+            `${report.blocked.length} blocked${missing.length ? ` (missing ${missing.join(", ")})` : ""}`);
+    }
+
+    // $/sec the RAM added by a purchase would add to the target plan (0 once every target is saturated)
+    function extraRamIncome(plan, targets, batchRam) {
+        const income = (t) => t.plan.reduce((sum, p) => sum + p.incomePerSec, 0);
+        const bigger = pickTargetsAndStrategy(ns, batchRam + plan.ram - (plan.from || 0));
+        return Math.max(0, income(bigger) - income(targets));
+    }
+
+    // target each host's own batcher/worker runs against now
+    function currentTargets(hosts) {
+        const current = new Map();
+        for (const host of hosts) {
+            const p = ns.ps(host).find(p => ownerOf(p) === OWNER && (p.filename === BATCHER_SCRIPT || p.filename === SMALL_WORKER_SCRIPT));
+            if (p) current.set(host, draining.has(host) ? draining.get(host).to : p.args[0]);
+        }
+        return current;
+    }
+
+    // RAM a host brings to batching: all of it, except home's reserve
+    function hostRam(host) {
+        const maxRam = ns.getServerMaxRam(host);
+        return host === "home" ? Math.max(0, maxRam - ramReserve(HOME_RESERVE, maxRam)) : maxRam;
+    }
+
+    function foreignLease(host) {
+        const lease = leaseHolder(ns, host);
+        return !!lease && lease.owner !== OWNER;
+    }
+
+    // start or retarget the BitFer work on one host
+    async function manageHost(host, assigned) {
+        const maxRam = ns.getServerMaxRam(host);
+        if (!assigned) return;
+        if (Date.now() - (serverLastDeploy[host] || 0) < PER_SERVER_COOLDOWN) return;
+        if (!leaseHost(host)) return;
+
+        const procs = ns.ps(host).filter(p => ownerOf(p) === OWNER);
+        if (maxRam < MIN_RAM_TO_BATCH && host !== "home") {
+            const worker = procs.find(p => p.filename === SMALL_WORKER_SCRIPT);
+            if (worker && worker.args[0] === assigned) return;
+            if (worker) clearHost(ns, host, OWNER);
+            const pid = await deploySmallWorker(ns, host, assigned, OWNER, log);
+            if (pid) serverLastDeploy[host] = Date.now();
+            return;
+        }
+
+        const batcher = procs.find(p => p.filename === BATCHER_SCRIPT);
+        // a draining batcher may already have taken its request and will restart on drain.to regardless:
+        // let it finish, and retarget it from there if the plan still says so
+        if (draining.has(host)) return;
+        if (batcher && batcher.args[0] === assigned) return;
+        if (batcher) {
+            // let its in-flight batches land on the old target; it restarts on the new one by itself
+            log(`🔁 ${host}: ${batcher.args[0]} -> ${assigned}`);
+            drainHostBatcher(ns, host, batcher.pid, assigned, OWNER, log, reserveFor(host));
+            const timeout = 2 * ns.getWeakenTime(batcher.args[0]) + DRAIN_GRACE_MS;
+            draining.set(host, { pid: batcher.pid, from: batcher.args[0], to: assigned, since: Date.now(), timeout });
+            serverLastDeploy[host] = Date.now();
+            return;
+        }
+        await deploy(host, assigned);
+    }
+
+    // follow draining hosts: done once the old batcher has exited, killed when it takes too long
+    function updateDrains() {
+        for (const [host, d] of draining) {
+            if (!ns.isRunning(d.pid)) {
+                draining.delete(host);
+                serverLastDeploy[host] = Date.now(); // give the restarted batcher time to show up
+                log(`✅ ${host}: drained ${d.from}, restarted on ${d.to}`);
+            } else if (Date.now() - d.since > d.timeout) {
+                draining.delete(host);
+                clearHost(ns, host, OWNER);
+                serverLastDeploy[host] = 0;
+                log(`⏱️ ${host}: drain of ${d.from} took over ${Math.round(d.timeout / 1000)}s, killed; redeploying on ${d.to}`);
+            }
+        }
+    }
+
+    async function deploy(host, target) {
+        const pid = await deployHostBatcher(ns, host, target, OWNER, log, reserveFor(host));
+        serverLastDeploy[host] = Date.now();
+        if (pid) await ns.sleep(DEPLOY_STAGGER_MS);
+        return pid;
+    }
+
+    function reserveFor(host) {
+        return host === "home" ? HOME_RESERVE : "";
+    }
+
+    // take (or keep) the lease on a host; false while another live controller holds it
+    function leaseHost(host) {
+        const holder = acquireLease(ns, host, OWNER);
+        if (!holder) {
+            blocked.delete(host);
+            return true;
+        }
+        if (!blocked.has(host)) {
+            blocked.add(host);
+            log(`🔒 ${host} leased by ${holder.owner} (pid ${holder.pid}), leaving it alone`);
+        }
+        return false;
+    }
+}
@@ -0,0 +1,26 @@
+/** ports.js
+ * Netscript port numbers used by BitFer scripts, plus helpers for ports that hold one JSON registry.
+ * Ports are global across hosts but cleared when the game reloads; treat their contents as soft state.
+ */
+
+export const PREP_PORT = 20;          // target -> batcher currently prepping it
+export const DESYNC_PORT = 21;        // "<target>@<batcher>" -> desync event count
+export const REPORT_STATS_PORT = 22;  // "<target>@<batcher>" -> job report summary
+export const LEASE_PORT = 23;         // host -> controller lease (host-lease.js)
+export const BUDGET_PORT = 24;        // spender -> its best next purchase (budget.js)
+export const DRAIN_PORT = 25;         // batcher pid -> drain request { target, hackPct } (batch-engine.js)
+export const SLOT_PORT = 26;          // target -> landing slots reserved by its batchers (batch-engine.js)
+export const REPORT_PORT_BASE = 1000; // + batcher pid: that batcher's job completion reports
+
+/** Read a JSON registry kept as the single entry of a port ({} when empty/corrupt). */
+export function readPortJson(ns, port) {
+    const raw = ns.peek(port);
+    if (raw === "NULL PORT DATA") return {};
+    try { return JSON.parse(raw) || {}; } catch { return {}; }
+}
+
+/** Replace a port's JSON registry. Runs synchronously, so read-modify-write cannot interleave. */
+export function writePortJson(ns, port, obj) {
+    ns.clearPort(port);
+    ns.writePort(port, JSON.stringify(obj));
+}
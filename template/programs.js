@@ -0,0 +1,117 @@
+/** programs.js
+ * Buys the TOR router and the darkweb programs the other scripts depend on, cheapest first:
+ * the port openers rooting.js counts (BruteSSH.exe ... SQLInject.exe), and with --extras also
+ * Formulas.exe (exact batch math), DeepscanV2.exe and AutoLink.exe.
+ *
+ * - needs the Singularity API (Source-File 4); without it, prints a shopping list of terminal `buy` commands
+ * - spends through the shared allocator (budget.js): while something is missing it bids with payback 0, so
+ *   it has first claim on spendable cash, but never touches the reserve or a savings goal
+ * - runs until everything wanted is on home, then exits
+ *
+ * Usage: run programs.js [--extras] [--once]
+ *   --extras: also buy Formulas.exe, DeepscanV2.exe and AutoLink.exe
+ *   --once: one pass (buy what is affordable now, or print the list) instead of waiting for cash
+ */
+import { submitBid, allowance } from "budget.js";
+import { PORT_OPENERS } from "rooting.js";
+
+export const TOR_COST = 200e3;
+/** Darkweb list prices, used for ordering and for the shopping list when the API can't tell us. */
+export const PROGRAM_COSTS = {
+    "BruteSSH.exe": 500e3,
+    "FTPCrack.exe": 1.5e6,
+    "relaySMTP.exe": 5e6,
+    "HTTPWorm.exe": 30e6,
+    "SQLInject.exe": 250e6,
+    "AutoLink.exe": 1e6,
+    "DeepscanV2.exe": 25e6,
+    "Formulas.exe": 5e9,
+};
+const EXTRAS = ["Formulas.exe", "DeepscanV2.exe", "AutoLink.exe"];
+
+/** True when Singularity calls work in this BitNode/with our Source-Files. */
+export function hasSingularity(ns) {
+    try {
+        ns.singularity.getDarkwebPrograms();
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+/** Wanted programs missing from home, cheapest first: { name, cost }. */
+export function missingPrograms(ns, extras = false) {
+    const wanted = [...PORT_OPENERS.map(o => o.file), ...(extras ? EXTRAS : [])];
+    return wanted
+        .filter(name => !ns.fileExists(name, "home"))
+        .map(name => ({ name, cost: PROGRAM_COSTS[name] }))
+        .sort((a, b) => a.cost - b.cost);
+}
+
+/** @param {NS} ns */
+export async function main(ns) {
+    ns.disableLog("sleep");
+    ns.disableLog("getServerMoneyAvailable");
+    const args = ns.args.map(String);
+    const EXTRA = args.includes("--extras");
+    const ONCE = args.includes("--once");
+    const LOOP_MS = 10 * 1000;
+    const BIDDER = "programs";
+    const fmt = (v) => typeof ns.formatNumber === "function" ? "$" + ns.formatNumber(v) : "$" + Math.round(v);
+
+    if (!hasSingularity(ns)) {
+        printShoppingList();
+        return;
+    }
+
+    ns.atExit(() => submitBid(ns, BIDDER, null));
+    while (true) {
+        try {
+            const queue = [];
+            const tor = ns.hasTorRouter();
+            if (!tor) queue.push({ name: "TOR router", cost: TOR_COST, tor: true });
+            for (const p of missingPrograms(ns, EXTRA)) {
+                // the darkweb knows the current price once we have TOR
+                const live = tor ? ns.singularity.getDarkwebProgramCost(p.name) : -1;
+                queue.push({ name: p.name, cost: live > 0 ? live : p.cost });
+            }
+            if (queue.length === 0) {
+                ns.tprint(`programs: everything on home${EXTRA ? " (extras included)" : ""} -> exit`);
+                return;
+            }
+
+            // one purchase at a time, in cost order; TOR comes first since nothing else is buyable without it
+            const next = queue[0];
+            submitBid(ns, BIDDER, { cost: next.cost, paybackSec: 0, desc: next.name });
+            if (allowance(ns, BIDDER) >= next.cost) {
+                const ok = next.tor ? ns.singularity.purchaseTor() : ns.singularity.purchaseProgram(next.name);
+                ns.tprint(ok ? `🛒 programs: bought ${next.name} for ${fmt(next.cost)}` : `programs: buying ${next.name} failed`);
+                if (ok) continue;
+            } else {
+                ns.print(`waiting for ${fmt(next.cost)} spendable to buy ${next.name} (${queue.length} to go)`);
+            }
+            if (ONCE) return;
+            await ns.sleep(LOOP_MS);
+        } catch (e) {
+            ns.tprint("programs error: " + String(e));
+            if (ONCE) return;
+            await ns.sleep(LOOP_MS);
+        }
+    }
+
+    function printShoppingList() {
+        const lines = ["", "programs: no Singularity API here, buy these by hand (cheapest first):"];
+        let total = 0;
+        if (!ns.hasTorRouter()) {
+            lines.push(`  ${fmt(TOR_COST).padEnd(10)} TOR router  (City -> Alpha Enterprises)`);
+            total += TOR_COST;
+        }
+        for (const p of missingPrograms(ns, EXTRA)) {
+            lines.push(`  ${fmt(p.cost).padEnd(10)} buy ${p.name}`);
+            total += p.cost;
+        }
+        if (total === 0) lines.push("  nothing, everything is on home");
+        else lines.push(`  total ${fmt(total)}; home cash ${fmt(ns.getServerMoneyAvailable("home"))}`);
+        ns.tprint(lines.join("\n"));
+    }
+}
@@ -0,0 +1,59 @@
+/** pserv.js
+ * Purchased-server planning for the orchestrator.
+ * - works on every purchased server (ns.getPurchasedServers), whatever its name; new ones are named pserv-N
+ * - RAM sizes are powers of two up to ns.getPurchasedServerMaxRam(); each step jumps straight to the
+ *   largest size the budget covers instead of doubling
+ * - fills empty slots first, then upgrades the smallest server in place with ns.upgradePurchasedServer,
+ *   so its running batcher and in-flight jobs survive (the batcher picks up the new RAM on its next wave)
+ */
+
+export const MIN_NEW_SERVER_RAM = 8; // not worth a slot below this
+
+/** Largest power-of-two RAM above `minRam` (up to the game's max) whose costOf(ram) fits `budget`, or 0. */
+export function largestAffordableRam(ns, budget, costOf, minRam = 0) {
+    let best = 0;
+    for (let ram = 2; ram <= ns.getPurchasedServerMaxRam(); ram *= 2) {
+        if (ram <= minRam) continue;
+        if (costOf(ram) > budget) break;
+        best = ram;
+    }
+    return best;
+}
+
+/** First free pserv-N name. */
+export function nextServerName(ns) {
+    const taken = new Set(ns.getPurchasedServers());
+    for (let i = 0; ; i++) if (!taken.has(`pserv-${i}`)) return `pserv-${i}`;
+}
+
+/**
+ * The best single purchase for `budget`:
+ *   { action: "buy", name, ram, cost } | { action: "upgrade", name, from, ram, cost } | null
+ */
+export function planPurchase(ns, budget) {
+    const owned = ns.getPurchasedServers();
+    const maxRam = ns.getPurchasedServerMaxRam();
+
+    if (owned.length < ns.getPurchasedServerLimit()) {
+        const ram = largestAffordableRam(ns, budget, r => ns.getPurchasedServerCost(r));
+        if (ram >= MIN_NEW_SERVER_RAM) return { action: "buy", name: nextServerName(ns), ram, cost: ns.getPurchasedServerCost(ram) };
+        if (owned.length === 0) return null;
+    }
+
+    // upgrade the smallest server that can still grow
+    const smallest = owned
+        .map(name => ({ name, ram: ns.getServerMaxRam(name) }))
+        .filter(s => s.ram < maxRam)
+        .sort((a, b) => a.ram - b.ram)[0];
+    if (!smallest) return null;
+    const ram = largestAffordableRam(ns, budget, r => ns.getPurchasedServerUpgradeCost(smallest.name, r), smallest.ram);
+    if (!ram) return null;
+    return { action: "upgrade", name: smallest.name, from: smallest.ram, ram, cost: ns.getPurchasedServerUpgradeCost(smallest.name, ram) };
+}
+
+/** Carry out a planPurchase() result; true on success. */
+export function executePurchase(ns, plan) {
+    if (!plan) return false;
+    if (plan.action === "buy") return !!ns.purchaseServer(plan.name, plan.ram);
+    return ns.upgradePurchasedServer(plan.name, plan.ram);
+}
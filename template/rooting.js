@@ -0,0 +1,133 @@
+/** rooting.js
+ * Root access bookkeeping for the network: which servers we can root now, which are blocked and by which
+ * missing port opener, and which are rooted but still above our hacking level.
+ *
+ * - a server needs ns.getServerNumPortsRequired() open ports before NUKE.exe works; each opener we own on
+ *   home opens one, so a server is rootable once we own at least that many openers
+ * - a blocked server lists the cheapest openers that would unblock it
+ * - rootServers() only runs the openers and nuke on rootable servers and records every newly rooted server
+ *   as an event in state-store.js, so the history survives restarts
+ *
+ * Usage: run rooting.js            root what we can, then print the rooting report
+ *        run rooting.js --dry      report only, change nothing
+ *        run rooting.js --events   also list the rooting events
+ */
+import { loadState, saveState } from "state-store.js";
+
+/** Port openers in the order they become available (and by price at the darkweb). */
+export const PORT_OPENERS = [
+    { file: "BruteSSH.exe", open: (ns, s) => ns.brutessh(s) },
+    { file: "FTPCrack.exe", open: (ns, s) => ns.ftpcrack(s) },
+    { file: "relaySMTP.exe", open: (ns, s) => ns.relaysmtp(s) },
+    { file: "HTTPWorm.exe", open: (ns, s) => ns.httpworm(s) },
+    { file: "SQLInject.exe", open: (ns, s) => ns.sqlinject(s) },
+];
+const EVENT_LIMIT = 50; // rooting events kept in the state file
+
+/** Port openers present on home. */
+export function ownedOpeners(ns) {
+    return PORT_OPENERS.filter(o => ns.fileExists(o.file, "home"));
+}
+
+/**
+ * Root state of one server:
+ *   state "rooted" | "rootable" | "blocked", missing: cheapest openers a blocked server still needs,
+ *   levelShort: hacking levels still needed before we can hack it (0 when we can)
+ */
+export function rootStatus(ns, server, owned = ownedOpeners(ns)) {
+    const portsRequired = ns.getServerNumPortsRequired(server);
+    const requiredLevel = ns.getServerRequiredHackingLevel(server);
+    const levelShort = Math.max(0, requiredLevel - ns.getHackingLevel());
+    const rooted = ns.hasRootAccess(server);
+    const missing = rooted ? [] : PORT_OPENERS
+        .filter(o => !owned.includes(o))
+        .slice(0, Math.max(0, portsRequired - owned.length))
+        .map(o => o.file);
+    const state = rooted ? "rooted" : missing.length === 0 ? "rootable" : "blocked";
+    return { server, state, portsRequired, missing, requiredLevel, levelShort };
+}
+
+/**
+ * Rooting report for `hosts` (home and purchased servers are left out):
+ * { rooted, rootable, blocked, waitingOnLevel } lists of rootStatus() entries, plus the opener files owned.
+ * waitingOnLevel holds rooted servers we cannot hack yet.
+ */
+export function rootingReport(ns, hosts) {
+    const owned = ownedOpeners(ns);
+    const purchased = new Set(ns.getPurchasedServers());
+    const all = hosts.filter(s => s !== "home" && !purchased.has(s)).map(s => rootStatus(ns, s, owned));
+    return {
+        openers: owned.map(o => o.file),
+        rooted: all.filter(s => s.state === "rooted"),
+        rootable: all.filter(s => s.state === "rootable"),
+        blocked: all.filter(s => s.state === "blocked"),
+        waitingOnLevel: all.filter(s => s.state === "rooted" && s.levelShort > 0),
+    };
+}
+
+/** Open ports on and nuke every rootable server in `hosts`; returns the servers rooted by this call. */
+export function rootServers(ns, hosts) {
+    const owned = ownedOpeners(ns);
+    const rooted = [];
+    for (const s of rootingReport(ns, hosts).rootable) {
+        for (const o of owned) o.open(ns, s.server);
+        ns.nuke(s.server);
+        if (ns.hasRootAccess(s.server)) rooted.push(s.server);
+    }
+    if (rooted.length > 0) recordRootEvents(ns, rooted);
+    return rooted;
+}
+
+function recordRootEvents(ns, servers) {
+    const saved = loadState(ns, "rooting", { events: [] });
+    const level = ns.getHackingLevel();
+    for (const server of servers) saved.events.push({ at: Date.now(), server, ports: ns.getServerNumPortsRequired(server), level });
+    saved.events = saved.events.slice(-EVENT_LIMIT);
+    saveState(ns, "rooting", saved);
+}
+
+/** Rooting events, oldest first: { at, server, ports, level }. */
+export function rootEvents(ns) {
+    return loadState(ns, "rooting", { events: [] }).events;
+}
+
+/** @param {NS} ns */
+export async function main(ns) {
+    const args = ns.args.map(String);
+    const seen = new Set(["home"]);
+    const stack = ["home"];
+    while (stack.length) {
+        for (const n of ns.scan(stack.pop())) if (!seen.has(n)) seen.add(n), stack.push(n);
+    }
+    const hosts = [...seen];
+
+    const fresh = args.includes("--dry") ? [] : rootServers(ns, hosts);
+    const report = rootingReport(ns, hosts);
+    const names = (list) => list.map(s => s.server).join(", ") || "none";
+    const lines = [
+        "",
+        `port openers: ${report.openers.length}/${PORT_OPENERS.length} (${report.openers.join(", ") || "none"})`,
+        `rooted now: ${fresh.join(", ") || "none"}`,
+        `rooted ${report.rooted.length}, rootable ${report.rootable.length}, blocked ${report.blocked.length}`,
+    ];
+    if (report.rootable.length) lines.push(`=== rootable ===`, `  ${names(report.rootable)}`);
+    if (report.blocked.length) {
+        lines.push("=== blocked (ports needed, missing openers) ===");
+        for (const s of report.blocked.sort((a, b) => a.portsRequired - b.portsRequired)) {
+            lines.push(`  ${s.server.padEnd(20)} ${s.portsRequired} ports, needs ${s.missing.join(" + ")}`);
+        }
+    }
+    if (report.waitingOnLevel.length) {
+        lines.push(`=== rooted, waiting on hacking level (have ${ns.getHackingLevel()}) ===`);
+        for (const s of report.waitingOnLevel.sort((a, b) => a.requiredLevel - b.requiredLevel)) {
+            lines.push(`  ${s.server.padEnd(20)} level ${s.requiredLevel} (+${s.levelShort})`);
+        }
+    }
+    if (args.includes("--events")) {
+        lines.push("=== rooting events ===");
+        const events = rootEvents(ns);
+        if (events.length === 0) lines.push("  none");
+        for (const e of events) lines.push(`  ${new Date(e.at).toLocaleString()}  ${e.server} (${e.ports} ports, hacking ${e.level})`);
+    }
+    ns.tprint(lines.join("\n"));
+}
@@ -0,0 +1,90 @@
+/** state-store.js
+ * Controller state that has to survive a script restart, a game reload or an augment install
+ * (orchestrator.js cooldowns and drains, hacknet-manager.js spending history).
+ *
+ * - one JSON file on home (STATE_FILE) with a section per controller: { version, savedAt, sections: { name: {...} } }
+ * - STATE_VERSION is bumped whenever a section's shape changes; older files are upgraded through MIGRATIONS,
+ *   a file from a newer or unknown version is ignored (controllers start fresh) rather than misread
+ * - timestamps are stored as Date.now() values, so cooldowns keep running while the scripts are down
+ *
+ * Usage: run state-store.js                     show what is stored
+ *        run state-store.js --reset             wipe all stored state
+ *        run state-store.js --reset=orchestrator  wipe one section
+ * Reset while the controllers are stopped, or they write their in-memory state back on the next loop.
+ */
+
+export const STATE_FILE = "/bitfer/state.json";
+export const STATE_VERSION = 1;
+
+// from version -> (file) => file at version + 1
+const MIGRATIONS = {};
+
+/** The whole state file at STATE_VERSION (empty when missing, unreadable or from a newer version). */
+function readStateFile(ns) {
+    const empty = { version: STATE_VERSION, savedAt: 0, sections: {} };
+    let file;
+    try {
+        const raw = ns.read(STATE_FILE);
+        if (!raw) return empty;
+        file = JSON.parse(raw);
+    } catch (_) {
+        return empty;
+    }
+    if (!file || typeof file !== "object" || !file.sections) return empty;
+    while (file.version < STATE_VERSION && MIGRATIONS[file.version]) file = MIGRATIONS[file.version](file);
+    return file.version === STATE_VERSION ? file : empty;
+}
+
+function writeStateFile(ns, file) {
+    ns.write(STATE_FILE, JSON.stringify(file, null, 2), "w");
+}
+
+/** A controller's stored section merged over `defaults` (just `defaults` when nothing is stored). */
+export function loadState(ns, section, defaults = {}) {
+    const stored = readStateFile(ns).sections[section];
+    return { ...defaults, ...(stored || {}) };
+}
+
+/** Replace a controller's section. */
+export function saveState(ns, section, data) {
+    const file = readStateFile(ns);
+    file.sections[section] = data;
+    file.savedAt = Date.now();
+    writeStateFile(ns, file);
+}
+
+/** Drop one section, or everything when `section` is omitted. */
+export function resetState(ns, section) {
+    if (!section) {
+        ns.rm(STATE_FILE, "home");
+        return;
+    }
+    const file = readStateFile(ns);
+    delete file.sections[section];
+    writeStateFile(ns, file);
+}
+
+/** @param {NS} ns */
+export async function main(ns) {
+    const args = ns.args.map(String);
+    const resetArg = args.find(a => a === "--reset" || a.startsWith("--reset="));
+    if (resetArg) {
+        const section = resetArg.includes("=") ? resetArg.split("=")[1] : "";
+        resetState(ns, section);
+        ns.tprint(section ? `state-store: reset section ${section}` : `state-store: removed ${STATE_FILE}`);
+        return;
+    }
+
+    const file = readStateFile(ns);
+    const names = Object.keys(file.sections);
+    const lines = ["", `${STATE_FILE} (schema v${file.version}, saved ${file.savedAt ? new Date(file.savedAt).toLocaleString() : "never"})`];
+    if (names.length === 0) lines.push("  nothing stored");
+    for (const name of names) {
+        lines.push(`=== ${name} ===`);
+        for (const [key, value] of Object.entries(file.sections[name])) {
+            const text = JSON.stringify(value);
+            lines.push(`  ${key}: ${text.length > 120 ? text.slice(0, 117) + "..." : text}`);
+        }
+    }
+    ns.tprint(lines.join("\n"));
+}
@@ -0,0 +1,92 @@
+/** target-eval.js
+ * Ranks hack targets by steady-state income per GB of RAM and splits the network's RAM across them.
+ *
+ * Each candidate is run through hack-optimizer.js with the RAM on offer: that gives the best $/sec the
+ * target can produce with it (batch cost, weaken-time cycle, growth, min security and hack chance all
+ * included; Formulas.exe makes it exact for a prepped target), and how much of the RAM it actually uses.
+ * Targets are then filled best $/sec/GB first until the RAM runs out:
+ *  - a target that absorbs at least PRIMARY_SHARE of the RAM becomes the primary
+ *  - the others that still get RAM are the secondaries, so the pool size follows from available RAM
+ *
+ * Usage: run target-eval.js [ramGB]   print the ranking (default: home + purchased + rooted RAM)
+ */
+import { optimizeHackPct } from "hack-optimizer.js";
+
+const PRIMARY_SHARE = 0.5; // RAM share a target must absorb to be run as the primary
+const MAX_TARGETS = 12;
+
+/**
+ * @param {NS} ns
+ * @param {string} server
+ * @param {number} ramBudget  GB on offer
+ * @returns {{server: string, incomePerSec: number, ramUsed: number, incomePerGB: number, hackPct: number, chance: number}}
+ */
+export function evaluateTarget(ns, server, ramBudget) {
+    const plan = optimizeHackPct(ns, server, ramBudget);
+    const ramUsed = plan.concurrency * plan.ramPerBatch;
+    return {
+        server,
+        incomePerSec: plan.incomePerSec,
+        ramUsed,
+        incomePerGB: ramUsed > 0 ? plan.incomePerSec / ramUsed : 0,
+        hackPct: plan.hackPct,
+        chance: plan.chance,
+    };
+}
+
+/** Rooted, hackable servers with money. */
+export function targetCandidates(ns, hosts) {
+    return hosts.filter(s => {
+        try {
+            return s !== "home" && ns.hasRootAccess(s) && ns.getServerMaxMoney(s) > 0 &&
+                ns.getServerRequiredHackingLevel(s) <= ns.getHackingLevel() && ns.hackAnalyzeChance(s) > 0;
+        } catch (_) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Split `totalRam` over the best targets.
+ * @returns {{primary: string|null, secondaries: string[], plan: {server: string, incomePerGB: number, ramUsed: number, allocatedGB: number, incomePerSec: number}[]}}
+ */
+export function planTargets(ns, hosts, totalRam) {
+    const ram = Math.max(1, totalRam);
+    const ranked = targetCandidates(ns, hosts)
+        .map(s => evaluateTarget(ns, s, ram))
+        .filter(e => e.incomePerGB > 0)
+        .sort((a, b) => b.incomePerGB - a.incomePerGB);
+
+    const plan = [];
+    let left = ram;
+    for (const e of ranked) {
+        if (left <= 0 || plan.length >= MAX_TARGETS) break;
+        const allocatedGB = Math.min(e.ramUsed, left);
+        left -= allocatedGB;
+        plan.push({ ...e, allocatedGB, incomePerSec: e.incomePerGB * allocatedGB });
+    }
+    if (plan.length === 0) return { primary: null, secondaries: [], plan };
+
+    const primary = plan[0].allocatedGB >= ram * PRIMARY_SHARE ? plan[0].server : null;
+    const secondaries = plan.map(p => p.server).filter(s => s !== primary);
+    return { primary, secondaries, plan };
+}
+
+/** @param {NS} ns */
+export async function main(ns) {
+    const seen = new Set(["home"]);
+    const stack = ["home"];
+    while (stack.length) {
+        for (const n of ns.scan(stack.pop())) if (!seen.has(n)) seen.add(n), stack.push(n);
+    }
+    const hosts = [...seen];
+    const ram = Number(ns.args[0]) || hosts.filter(h => ns.hasRootAccess(h)).reduce((sum, h) => sum + ns.getServerMaxRam(h), 0);
+    const fmt = (v) => typeof ns.formatNumber === "function" ? "$" + ns.formatNumber(v) : "$" + Math.round(v);
+
+    const { primary, plan } = planTargets(ns, hosts, ram);
+    const lines = ["", `target plan for ${Math.round(ram)}GB (primary: ${primary || "none"})`];
+    for (const p of plan) {
+        lines.push(`  ${p.server.padEnd(20)} ${fmt(p.incomePerGB).padEnd(10)}/s/GB  uses ${Math.round(p.ramUsed)}GB, gets ${Math.round(p.allocatedGB)}GB -> ${fmt(p.incomePerSec)}/s (hack ${(p.hackPct * 100).toFixed(2)}%, chance ${p.chance.toFixed(2)})`);
+    }
+    ns.tprint(lines.join("\n"));
+}